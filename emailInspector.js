@@ -25,9 +25,23 @@ class ParserTarget {
     }
 }
 
+// Parser output fields checked by the corpus test, with the WMS names generated rules are usually named after
+const CORPUS_TEST_FIELDS = {
+    jobNumber: 'job_number',
+    jobName: 'job_name',
+    deviceName: 'device_id',
+    building: 'building_code',
+    address: 'building_address',
+    problemDescription: 'job_trouble_description',
+    priority: 'job_priority'
+};
+
 class EmailInspector {
 
     constructor() {
+        // Every email loaded this session: { file, content, email, status, error, ruleOutput, detectedTargets }
+        this.sessionEmails = [];
+        this.sessionIndex = -1;
         this.resetApplicationState();
         this.initializeEventListeners();
         this.initializeRuleGenerators();
@@ -61,7 +75,8 @@ class EmailInspector {
 
     // AUTO TARGET DETECTION - NEW HEAVY VISUAL SYSTEM
     autoDetectParserTargets() {
-        this.detectedTargets = [];
+        // Values the parser actually extracted come first; pattern guesses fill the gaps
+        this.detectedTargets = this.createTargetsFromProvenance();
         const content = this.rawContent;
         console.log('🔍 Starting auto-detection on content:', content.substring(0, 200) + '...');
 
@@ -106,6 +121,43 @@ class EmailInspector {
         return this.detectedTargets;
     }
 
+    // Map EmailParser provenance onto the displayed raw content
+    createTargetsFromProvenance() {
+        const provenance = this.currentEmail && this.currentEmail.provenance;
+        if (!provenance || !this.rawContent) return [];
+
+        const fieldTypes = {
+            jobName: 'job_name',
+            jobNumber: 'job_number',
+            deviceName: 'device_id',
+            problemDescription: 'job_trouble_description',
+            building: 'building_code',
+            address: 'building_address'
+        };
+
+        // Parser offsets are relative to the decoded subject/body, so re-anchor them in the raw view
+        const headerEnd = this.rawContent.search(/\r?\n\r?\n/);
+        const subjectLine = this.rawContent.search(/^Subject:/im);
+        const targets = [];
+
+        Object.entries(fieldTypes).forEach(([field, fieldType]) => {
+            const source = provenance[field];
+            if (!source || !source.value) return;
+
+            const searchFrom = source.source === 'subject' ? Math.max(0, subjectLine) : Math.max(0, headerEnd);
+            const needle = source.value.split(/\s+/).slice(0, 6).join(' ');
+            const startPos = this.rawContent.indexOf(needle, searchFrom);
+            if (startPos === -1) return;
+
+            const target = new ParserTarget(needle, startPos, startPos + needle.length, source.confidence, fieldType);
+            target.rule = source.rule;
+            target.context = this.getTargetContext(this.rawContent, startPos, startPos + needle.length);
+            targets.push(target);
+        });
+
+        return targets;
+    }
+
     calculateConfidence(fieldType, text, position, content) {
         let confidence = 0.5; // Base confidence
 
@@ -529,6 +581,7 @@ class EmailInspector {
 
     resetApplicationState() {
         this.currentEmail = null;
+        this.currentFile = null;
         this.parsedData = null;
         this.selectedText = '';
         this.selectionCoords = null;
@@ -578,6 +631,11 @@ class EmailInspector {
             this.handleFiles(e.target.files);
         });
 
+        // Session queue navigation
+        document.getElementById('prevEmail').addEventListener('click', () => this.showSessionEmail(this.sessionIndex - 1));
+        document.getElementById('nextEmail').addEventListener('click', () => this.showSessionEmail(this.sessionIndex + 1));
+        document.getElementById('sessionList').addEventListener('change', (e) => this.showSessionEmail(Number(e.target.value)));
+
         // Content tab switching
         document.querySelectorAll('.content-tab').forEach(button => {
             button.addEventListener('click', () => this.switchTab(button.dataset.tab));
@@ -599,8 +657,15 @@ class EmailInspector {
 
         // Rule generation
         document.getElementById('generateRule').addEventListener('click', () => this.generateRule());
+        document.getElementById('ruleType').addEventListener('change', () => this.updateRulePreview());
+        document.getElementById('ruleName').addEventListener('input', () => this.updateRulePreview());
         document.getElementById('copyRules').addEventListener('click', () => this.copyRules());
         document.getElementById('integrateWithParser').addEventListener('click', () => this.testWithParser());
+        document.getElementById('testCorpus').addEventListener('click', () => document.getElementById('corpusInput').click());
+        document.getElementById('corpusInput').addEventListener('change', (e) => {
+            this.runCorpusTest(e.target.files);
+            e.target.value = '';
+        });
         document.getElementById('sendToWMS').addEventListener('click', () => this.sendToWorkManagementSystem());
     }
 
@@ -621,52 +686,109 @@ class EmailInspector {
             return;
         }
 
-        for (let i = 0; i < files.length; i++) {
-            const file = files[i];
-            console.log(`File ${i}:`, file.name, file.type, file.size, 'bytes');
-
-            if (file.name.toLowerCase().endsWith('.eml') || file.name.toLowerCase().endsWith('.msg')) {
-                console.log('Processing supported file:', file.name);
-                await this.processEmailFile(file);
-                break; // Process only one file at a time
-            } else {
-                console.log('Skipping unsupported file:', file.name);
+        const added = [];
+        try {
+            for (let i = 0; i < files.length; i++) {
+                const file = files[i];
+                console.log(`File ${i}:`, file.name, file.type, file.size, 'bytes');
+
+                if (file.name.toLowerCase().endsWith('.eml') || file.name.toLowerCase().endsWith('.msg')) {
+                    console.log('Processing supported file:', file.name);
+                    const entry = { file, content: null, email: null, status: 'pending', error: null, ruleOutput: null, detectedTargets: [] };
+                    await this.parseSessionEmail(entry);
+                    added.push(entry);
+                } else {
+                    console.log('Skipping unsupported file:', file.name);
+                }
             }
+        } finally {
+            // Always remove processing state
+            const dropZone = document.getElementById('dropZone');
+            dropZone.classList.remove('dragover', 'processing');
         }
+
+        if (added.length === 0) {
+            this.showError('No .eml or .msg files found.');
+            return;
+        }
+
+        this.sessionEmails.push(...added);
+        this.showSessionEmail(this.sessionEmails.length - added.length);
     }
 
-    async processEmailFile(file) {
+    // Read and parse one session email; a failure is recorded on the entry so the rest still load
+    async parseSessionEmail(entry) {
         try {
-            console.log('Processing file:', file.name);
-
-            this.updateFileInfo(file);
-            const content = await this.readFileContent(file);
+            entry.content = await this.readFileContent(entry.file);
 
             console.log('Content loaded, parsing...');
 
-            if (file.name.toLowerCase().endsWith('.eml')) {
-                this.currentEmail = EmailParser.parseEml(content);
-                this.parsedData = this.currentEmail;
-            } else if (file.name.toLowerCase().endsWith('.msg')) {
-                this.currentEmail = EmailParser.parseMsg(content);
-                this.parsedData = this.currentEmail;
-            }
-
-            // Parse email structure for display
-            this.displayEmailContent(content, file.name);
-            this.displayParsedResults();
-            this.resetSelectionInfo();
-
-            console.log('Email processed successfully:', this.currentEmail);
+            entry.email = entry.file.name.toLowerCase().endsWith('.msg')
+                ? EmailParser.parseMsg(entry.content)
+                : EmailParser.parseEml(entry.content);
+            entry.status = entry.email.email_parse_title_validation_status || 'valid';
 
+            console.log('Email processed successfully:', entry.email);
         } catch (error) {
             console.error('Error processing email file:', error);
-            this.showError('Failed to process email file: ' + error.message);
-        } finally {
-            // Always remove processing state
-            const dropZone = document.getElementById('dropZone');
-            dropZone.classList.remove('dragover', 'processing');
+            entry.status = 'failed';
+            entry.error = error.message;
+        }
+    }
+
+    // Keep the current email's generated rules and targets with it; field edits already live on entry.email
+    storeSessionState() {
+        const entry = this.sessionEmails[this.sessionIndex];
+        if (!entry) return;
+
+        entry.ruleOutput = document.getElementById('ruleOutput').innerHTML;
+        entry.detectedTargets = this.detectedTargets;
+    }
+
+    showSessionEmail(index) {
+        const entry = this.sessionEmails[index];
+        if (!entry) return;
+
+        this.storeSessionState();
+        this.resetApplicationState();
+        this.sessionIndex = index;
+
+        console.log('Processing file:', entry.file.name);
+
+        this.updateFileInfo(entry.file);
+        this.currentFile = entry.file;
+        this.currentEmail = entry.email;
+        this.parsedData = entry.email;
+        this.detectedTargets = entry.detectedTargets;
+        document.getElementById('ruleOutput').innerHTML = entry.ruleOutput || '// Generated rules will appear here...';
+
+        if (entry.status === 'failed') {
+            this.rawContent = null;
+            this.displayUnifiedInteractiveView();
+            this.showError('Failed to process email file: ' + entry.error);
+        } else {
+            // Parse email structure for display
+            this.displayEmailContent(entry.content, entry.file.name);
         }
+        this.displayParsedResults();
+        this.resetSelectionInfo();
+        this.renderSessionList();
+    }
+
+    renderSessionList() {
+        const statusIcons = { valid: '✅', warning: '⚠️', error: '❌', failed: '🚫', pending: '⏳' };
+        const sessionNav = document.getElementById('sessionNav');
+        const sessionList = document.getElementById('sessionList');
+
+        sessionNav.style.display = this.sessionEmails.length > 1 ? 'flex' : 'none';
+        sessionList.innerHTML = this.sessionEmails.map((entry, index) => `
+            <option value="${index}" ${index === this.sessionIndex ? 'selected' : ''}>
+                ${statusIcons[entry.status] || ''} ${index + 1}/${this.sessionEmails.length} ${entry.file.name}
+            </option>
+        `).join('');
+
+        document.getElementById('prevEmail').disabled = this.sessionIndex <= 0;
+        document.getElementById('nextEmail').disabled = this.sessionIndex >= this.sessionEmails.length - 1;
     }
 
     updateFileInfo(file) {
@@ -720,6 +842,13 @@ class EmailInspector {
     // Create INLINE EDITING view with rich HTML content
     displayUnifiedInteractiveView() {
         const emailContent = document.getElementById('emailContent');
+        const displayDiv = document.querySelector('.content-display');
+
+        // Drop the previous email's view but keep the textarea the other tabs use
+        const existingRichContent = displayDiv.querySelector('.unified-inline-view');
+        if (existingRichContent) {
+            existingRichContent.remove();
+        }
 
         if (this.currentEmail && this.rawContent) {
             // Create rich interactive HTML content instead of plain text
@@ -741,8 +870,7 @@ class EmailInspector {
             emailContent.style.display = 'none';
             
             // Insert HTML content
-            const displayDiv = document.querySelector('.content-display');
-            displayDiv.innerHTML = interactiveHTML;
+            displayDiv.insertAdjacentHTML('beforeend', interactiveHTML);
 
         } else {
             // No email loaded - show placeholder in textarea
@@ -1072,17 +1200,23 @@ class EmailInspector {
     attachEnhancedInteractiveHandlers() {
         const self = this;
 
+        // The view is rebuilt for every email shown, but document listeners only need adding once
+        const attachInputHandler = !this.inputHandlerAttached;
+        this.inputHandlerAttached = true;
+
         // Handle interactive field editing (for inline contentEditable spans)
-        document.addEventListener('input', function(e) {
-            if (e.target.classList.contains('inline-editable-field') ||
-                e.target.classList.contains('inline-editable-field-span')) {
-                const fieldName = e.target.dataset.field;
-                if (fieldName && self.currentEmail) {
-                    self.currentEmail[fieldName] = e.target.textContent.trim();
-                    console.log(`Updated ${fieldName} to: "${self.currentEmail[fieldName]}"`);
+        if (attachInputHandler) {
+            document.addEventListener('input', function(e) {
+                if (e.target.classList.contains('inline-editable-field') ||
+                    e.target.classList.contains('inline-editable-field-span')) {
+                    const fieldName = e.target.dataset.field;
+                    if (fieldName && self.currentEmail) {
+                        self.currentEmail[fieldName] = e.target.textContent.trim();
+                        console.log(`Updated ${fieldName} to: "${self.currentEmail[fieldName]}"`);
+                    }
                 }
-            }
-        });
+            });
+        }
 
         // Handle summary field editing
         const summaryFields = document.querySelectorAll('.summary-field .field-value');
@@ -1159,39 +1293,44 @@ class EmailInspector {
             });
 
             // Listen for selection changes globally
-            document.addEventListener('selectionchange', (e) => {
-                const selection = window.getSelection();
-
-                // Check if selection is in our unified content area
-                if (selection.rangeCount > 0 && selection.rangeCount <= 1) {
-                    const range = selection.getRangeAt(0);
-                    const container = unifiedContent.contains(range.startContainer);
-
-                    if (container) {
-                        // Selection is in our content area
-                        const selectedText = selection.toString().trim();
-
-                        if (selectedText && selectedText.length > 2) {
-                            // We have a meaningful selection - update it
-                            setTimeout(() => self.handleTextSelectionInUnifiedView(), 10);
-                        } else if (selectedText === '' && !selection.isCollapsed && range.collapsed) {
-                            // Selection was cleared - clear our tracking
+            if (!this.selectionHandlerAttached) {
+                document.addEventListener('selectionchange', (e) => {
+                    const selection = window.getSelection();
+                    const currentContent = document.querySelector('.unified-content');
+                    if (!currentContent) return;
+
+                    // Check if selection is in our unified content area
+                    if (selection.rangeCount > 0 && selection.rangeCount <= 1) {
+                        const range = selection.getRangeAt(0);
+                        const container = currentContent.contains(range.startContainer);
+
+                        if (container) {
+                            // Selection is in our content area
+                            const selectedText = selection.toString().trim();
+
+                            if (selectedText && selectedText.length > 2) {
+                                // We have a meaningful selection - update it
+                                setTimeout(() => self.handleTextSelectionInUnifiedView(), 10);
+                            } else if (selectedText === '' && !selection.isCollapsed && range.collapsed) {
+                                // Selection was cleared - clear our tracking
+                                setTimeout(() => self.clearTextSelection(), 50);
+                            }
+                        } else {
+                            // Selection moved outside our content area - clear it
                             setTimeout(() => self.clearTextSelection(), 50);
                         }
-                    } else {
-                        // Selection moved outside our content area - clear it
-                        setTimeout(() => self.clearTextSelection(), 50);
+                    } else if (selection.isCollapsed) {
+                        // No active selection
+                        setTimeout(() => {
+                            const stillSelected = window.getSelection().toString().trim();
+                            if (stillSelected === '' || stillSelected.length < 3) {
+                                self.clearTextSelection();
+                            }
+                        }, 50);
                     }
-                } else if (selection.isCollapsed) {
-                    // No active selection
-                    setTimeout(() => {
-                        const stillSelected = window.getSelection().toString().trim();
-                        if (stillSelected === '' || stillSelected.length < 3) {
-                            self.clearTextSelection();
-                        }
-                    }, 50);
-                }
-            });
+                });
+                this.selectionHandlerAttached = true;
+            }
         }
     }
 
@@ -1223,12 +1362,6 @@ class EmailInspector {
         this.updateWorkflowStep('generate', null);
         this.updateWorkflowStep('integrate', null);
 
-        // Clear any rule output content if it was just for the previous selection
-        const ruleOutput = document.getElementById('ruleOutput');
-        if (ruleOutput) {
-            ruleOutput.innerHTML = '// Select some text in the content above to see rule preview...';
-        }
-
         // Remove any selection highlight
         document.querySelectorAll('.selection-highlight').forEach(el => {
             el.classList.remove('selection-highlight');
@@ -1394,13 +1527,13 @@ class EmailInspector {
         console.log(`Reset ${fieldName} to: "${resetValue}"`);
     }
 
-    // Update rule preview when text is selected
+    // Update rule preview when text is selected; regex rules also show what they capture in this email
     updateRulePreview() {
+        const rulePreview = document.getElementById('rulePreview');
+        if (!rulePreview) return;
+
         if (!this.selectedText) {
-            const ruleOutput = document.getElementById('ruleOutput');
-            if (ruleOutput) {
-                ruleOutput.innerHTML = '// Select some text in the content above to see rule preview...';
-            }
+            rulePreview.innerHTML = '// Select some text in the content above to see rule preview...';
             return;
         }
 
@@ -1409,23 +1542,50 @@ class EmailInspector {
         const mockCoords = { start: 0, end: this.selectedText.length };
 
         let previewRule = '';
+        let captures = '';
         switch(ruleType) {
             case 'regex':
-                const escaped = this.selectedText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                previewRule = `// Regex Rule: ${ruleName}\nstatic extract${ruleName.charAt(0).toUpperCase() + ruleName.slice(1)}(content) {\n    const match = content.match(/${escaped}/);\n    return match ? match[1] || match[0] : '';\n}`;
+                previewRule = this.generateRegexRule(ruleName, this.selectedText, this.selectionCoords);
+                captures = this.previewRegexCaptures(this.inferRegexRule(this.selectedText, this.rawContent));
                 break;
             case 'coordinates':
-                previewRule = `// Coordinate Rule: ${ruleName}\nstatic extract${ruleName.charAt(0).toUpperCase() + ruleName.slice(1)}(content) {\n    return content.substring(${mockCoords.start}, ${mockCoords.end}).trim();\n}`;
+                previewRule = this.generateCoordinateRule(ruleName, this.selectedText, mockCoords);
+                break;
+            case 'css':
+                previewRule = this.generateCSSRule(ruleName, this.selectedText, mockCoords);
                 break;
             case 'xpath':
-                previewRule = `// XPath Rule: ${ruleName}\nstatic extract${ruleName.charAt(0).toUpperCase() + ruleName.slice(1)}(content) {\n    const lines = content.split(/[\\r\\n]/);\n    const line = lines.find(l => l.includes("${this.selectedText}"));\n    return line ? line.replace("${this.selectedText}", '').trim() : '';\n}`;
+                previewRule = this.generateXPathRule(ruleName, this.selectedText, mockCoords);
                 break;
         }
 
-        const ruleOutput = document.getElementById('ruleOutput');
-        if (ruleOutput) {
-            ruleOutput.innerHTML = `<strong>Selected: "${this.selectedText}"</strong>\n\n${previewRule}`;
+        rulePreview.innerHTML = `<strong>Selected: "${this.escapeHtml(this.selectedText)}"</strong>\n\n${this.escapeHtml(previewRule)}${captures}`;
+    }
+
+    // Run an inferred regex over the loaded email and list what its capture group picks up
+    previewRegexCaptures(inferred) {
+        const captured = [];
+        try {
+            const pattern = new RegExp(inferred.source, inferred.flags + 'g');
+            for (const match of (this.rawContent || '').matchAll(pattern)) {
+                captured.push(match[1].trim());
+            }
+        } catch (error) {
+            return `\n\n<span style="color: red;">Invalid pattern: ${this.escapeHtml(error.message)}</span>`;
+        }
+
+        if (captured.length === 0) {
+            return '\n\n<span style="color: red;">❌ Captures nothing in this email</span>';
         }
+
+        const color = captured.length === 1 && this.selectedText.endsWith(captured[0]) ? 'green' : 'orange';
+        const list = captured.slice(0, 5).map(value => `"${this.escapeHtml(value)}"`).join(', ');
+        const more = captured.length > 5 ? ` and ${captured.length - 5} more` : '';
+        return `\n\n<span style="color: ${color};">🎯 Captures ${captured.length} match${captured.length === 1 ? '' : 'es'}: ${list}${more}</span>`;
+    }
+
+    escapeHtml(value) {
+        return String(value).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
     }
 
     startFieldEdit(fieldName) {
@@ -1905,10 +2065,40 @@ class EmailInspector {
             html += '<div style="color: green;"><strong>Status: VALID</strong></div>';
         }
 
+        if (this.currentEmail.parserProfile) {
+            html += `<p><strong>Parser profile:</strong> ${this.currentEmail.parserProfile}`;
+            html += this.currentEmail.parserProfileMatch ? ` <small>(${this.currentEmail.parserProfileMatch})</small></p>` : '</p>';
+        }
+
+        html += this.createProvenanceTable();
+
         validationInfoDiv.innerHTML = html;
         validationInfoDiv.style.display = 'block';
     }
 
+    // Show which rule produced each value, where, and how confident the parser was
+    createProvenanceTable() {
+        const provenance = this.currentEmail.provenance;
+        if (!provenance) return '';
+
+        const lowConfidence = this.currentEmail.lowConfidenceFields || [];
+        let html = '<h4>Field Sources</h4><table style="width: 100%; font-size: 12px; border-collapse: collapse;">';
+        html += '<tr><th align="left">Field</th><th align="left">Rule</th><th align="left">Offsets</th><th align="right">Conf.</th></tr>';
+
+        Object.entries(provenance).forEach(([field, source]) => {
+            if (!source.value) return;
+            const style = lowConfidence.includes(field) ? ' style="color: orange;"' : '';
+            html += `<tr${style} title="${this.escapeHtml(source.value)}">`;
+            html += `<td>${this.getConfidenceIcon(source.confidence)} ${this.escapeHtml(field)}</td>`;
+            html += `<td>${this.escapeHtml(source.rule)}</td>`;
+            html += `<td>${source.source} ${source.start}-${source.end}</td>`;
+            html += `<td align="right">${(source.confidence * 100).toFixed(0)}%</td>`;
+            html += '</tr>';
+        });
+
+        return html + '</table>';
+    }
+
     switchTab(tabName) {
         // Update content tab buttons
         document.querySelectorAll('.content-tab').forEach(button => {
@@ -2496,17 +2686,105 @@ class EmailInspector {
     }
 
     generateRegexRule(name, text, coords) {
-        // Escape special regex characters
-        const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        const rule = {
-            type: 'regex',
-            name: name,
-            pattern: escaped,
-            description: `Matches: "${text}"`,
-            coordinates: coords,
-            test: text
-        };
-        return `// Regex Rule: ${name}\nstatic extract${name.charAt(0).toUpperCase() + name.slice(1)}(content) {\n    const match = content.match(/${escaped}/);\n    return match ? match[1] || match[0] : '';\n}`;
+        const inferred = this.inferRegexRule(text, this.rawContent);
+        const literal = inferred.source.replace(/\//g, '\\/');
+
+        let comment = `// Regex Rule: ${name} (${inferred.description})`;
+        if (inferred.label) {
+            // Same rule in the EmailParser rules JSON format
+            const jsonRule = { name, label: inferred.label, value: inferred.value };
+            if (inferred.anchor === 'line') jsonRule.anchor = 'line';
+            comment += `\n// Rules JSON: ${JSON.stringify(jsonRule)}`;
+        }
+        return `${comment}\nstatic extract${name.charAt(0).toUpperCase() + name.slice(1)}(content) {\n    const match = content.match(/${literal}/${inferred.flags});\n    return match ? match[1].trim() : '';\n}`;
+    }
+
+    // Generalize a selection into { source, flags, label, value, anchor, description }: anchor it on the
+    // "Label:" before it (or the line above when it starts a line) and capture a value of the same shape
+    inferRegexRule(text, content) {
+        const escape = literal => literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const labelPattern = /((?:[A-Za-z][\w#\/&().'-]* ){0,3}[A-Za-z][\w#\/&().'-]*[ \t]*[:#=])[ \t]*$/;
+        content = content || '';
+
+        // The selection may include its own label ("Device Name: V123")
+        let value = text;
+        const ownLabel = text.match(/^((?:[A-Za-z][\w#\/&().'-]* ){0,3}[A-Za-z][\w#\/&().'-]*[ \t]*:)[ \t]*(\S[\s\S]*)$/);
+        if (ownLabel) {
+            value = ownLabel[2];
+        }
+
+        // Where the value sits in the email: prefer an occurrence that follows a label on its line
+        const contexts = [];
+        for (let start = content.indexOf(value); start !== -1; start = content.indexOf(value, start + 1)) {
+            const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+            const lineEnd = content.indexOf('\n', start + value.length);
+            const previousLines = content.slice(0, lineStart).split(/\r?\n/).filter(line => line.trim());
+            contexts.push({
+                before: content.slice(lineStart, start),
+                after: content.slice(start + value.length, lineEnd === -1 ? content.length : lineEnd).replace(/\r$/, ''),
+                previousLine: previousLines.length > 0 ? previousLines[previousLines.length - 1].trim() : ''
+            });
+        }
+        const context = contexts.find(candidate => labelPattern.test(candidate.before)) || contexts[0] || { before: '', after: '', previousLine: '' };
+
+        const valuePattern = this.inferValuePattern(value, context.after);
+        const label = ownLabel ? ownLabel[1] : (context.before.match(labelPattern) || [])[1];
+
+        if (label) {
+            const anchor = ownLabel || context.before.slice(0, context.before.lastIndexOf(label)).trim() === '' ? 'line' : 'any';
+            const prefix = anchor === 'line' ? '^[ \\t]*' : '';
+            return {
+                source: `${prefix}${escape(label)}[ \\t]*(${valuePattern})`,
+                flags: anchor === 'line' ? 'im' : 'i',
+                label,
+                value: valuePattern,
+                anchor,
+                description: `after "${label}", value ${valuePattern}`
+            };
+        }
+
+        if (context.before.trim() === '' && context.previousLine) {
+            return {
+                source: `${escape(context.previousLine)}[ \\t]*\\r?\\n[ \\t]*(${valuePattern})`,
+                flags: 'i',
+                value: valuePattern,
+                description: `line after "${context.previousLine}", value ${valuePattern}`
+            };
+        }
+
+        if (context.before.trim()) {
+            const words = context.before.trim().split(/\s+/).slice(-2);
+            // "(Main Lobby)" has no space between the word before and the value
+            const gap = /\s$/.test(context.before) ? '\\s+' : '';
+            return {
+                source: `${words.map(escape).join('\\s+')}${gap}(${valuePattern})`,
+                flags: 'i',
+                value: valuePattern,
+                description: `after "${words.join(' ')}", value ${valuePattern}`
+            };
+        }
+
+        return { source: `(${escape(value)})`, flags: '', value: escape(value), description: 'literal text' };
+    }
+
+    // Value shape of a selection: numbers, V/P device numbers, single tokens by their letter/digit runs,
+    // free text to the end of the line, or free text up to whatever follows it
+    inferValuePattern(text, after) {
+        if (/^\d+$/.test(text)) return '\\d+';
+        if (/^[VP]\d{5,}$/i.test(text)) return '[VP]\\d+';
+
+        if (!/\s/.test(text)) {
+            // "B-123456" → [A-Z]+-\d+, "SEA104" → [A-Z]+\d+
+            return text.replace(/[A-Za-z]+|\d+|[^A-Za-z\d]/g, run => {
+                if (/^[A-Za-z]+$/.test(run)) return '[A-Z]+';
+                if (/^\d+$/.test(run)) return '\\d+';
+                return run.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            });
+        }
+
+        const next = after.trimStart().charAt(0);
+        if (!next) return '[^\\r\\n]+';
+        return `[^\\r\\n]+?(?=[ \\t]*${next.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`;
     }
 
     generateCoordinateRule(name, text, coords) {
@@ -2529,7 +2807,9 @@ class EmailInspector {
             description: `CSS selector-style extraction for: "${text}"`,
             test: text
         };
-        return `// CSS Selector Rule: ${name}\nstatic extract${name.charAt(0).toUpperCase() + name.slice(1)}(content) {\n    // CSS selector simulation\n    if (content.includes("${text}")) {\n        const parts = content.split("${text}");\n        return parts[1] ? parts[1].split(/[\\r\\n]/)[0].trim() : "${text}";\n    }\n    return '';\n}`;
+        // The selection goes into the source as a string literal, quotes, backslashes and line breaks escaped
+        const literal = JSON.stringify(text);
+        return `// CSS Selector Rule: ${name}\nstatic extract${name.charAt(0).toUpperCase() + name.slice(1)}(content) {\n    // CSS selector simulation\n    if (content.includes(${literal})) {\n        const parts = content.split(${literal});\n        return parts[1] ? parts[1].split(/[\\r\\n]/)[0].trim() : ${literal};\n    }\n    return '';\n}`;
     }
 
     generateXPathRule(name, text, coords) {
@@ -2540,7 +2820,8 @@ class EmailInspector {
             description: `XPath-style extraction for: "${text}"`,
             test: text
         };
-        return `// XPath Rule: ${name}\nstatic extract${name.charAt(0).toUpperCase() + name.slice(1)}(content) {\n    // XPath simulation - find content containing "${text}"\n    const lines = content.split(/[\\r\\n]/);\n    const line = lines.find(l => l.includes("${text}"));\n    return line ? line.replace("${text}", '').trim() : '';\n}`;
+        const literal = JSON.stringify(text);
+        return `// XPath Rule: ${name}\nstatic extract${name.charAt(0).toUpperCase() + name.slice(1)}(content) {\n    // XPath simulation - find content containing ${literal}\n    const lines = content.split(/[\\r\\n]/);\n    const line = lines.find(l => l.includes(${literal}));\n    return line ? line.replace(${literal}, '').trim() : '';\n}`;
     }
 
     addRuleToOutput(ruleCode) {
@@ -2548,8 +2829,8 @@ class EmailInspector {
         const currentContent = ruleOutput.innerHTML;
 
         const newContent = currentContent === '// Generated rules will appear here...' ?
-            ruleCode :
-            currentContent + '\n\n' + ruleCode;
+            this.escapeHtml(ruleCode) :
+            currentContent + '\n\n' + this.escapeHtml(ruleCode);
 
         ruleOutput.innerHTML = newContent;
 
@@ -2560,7 +2841,7 @@ class EmailInspector {
 
     copyRules() {
         const ruleOutput = document.getElementById('ruleOutput');
-        const rules = ruleOutput.innerHTML;
+        const rules = ruleOutput.textContent;
 
         if (rules === '// Generated rules will appear here...') {
             alert('No rules generated yet. Please select text and generate some rules first.');
@@ -2620,6 +2901,171 @@ class EmailInspector {
         `);
     }
 
+    // Run the parser plus every generated rule over a folder of sample emails, so a new rule
+    // can be checked against older layouts before it is rolled out
+    async runCorpusTest(files) {
+        const emailFiles = Array.from(files)
+            .filter(file => /\.(eml|msg)$/i.test(file.name))
+            .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name));
+
+        if (emailFiles.length === 0) {
+            this.showError('No .eml or .msg files found in that folder.');
+            return;
+        }
+
+        const rules = this.compileGeneratedRules();
+        const columns = [
+            ...Object.keys(CORPUS_TEST_FIELDS).map(field => ({
+                label: CORPUS_TEST_FIELDS[field],
+                field,
+                rule: rules.find(rule => rule.field === field) || null
+            })),
+            ...rules.filter(rule => !rule.field).map(rule => ({ label: rule.name, field: null, rule }))
+        ];
+
+        console.log(`🧪 Corpus test: ${emailFiles.length} emails, ${rules.length} generated rules`);
+
+        const rows = [];
+        for (const file of emailFiles) {
+            const row = { name: file.webkitRelativePath || file.name, cells: [], error: null };
+            try {
+                row.cells = this.testCorpusEmail(columns, await this.readFileContent(file), file.name);
+            } catch (error) {
+                console.error('Corpus test failed for', file.name, error);
+                row.error = error.message;
+            }
+            rows.push(row);
+        }
+
+        this.showCorpusResults(columns, rows, rules.length);
+        this.updateWorkflowStep('integrate', 'completed');
+    }
+
+    // Rebuild the regex rules in the rule output from their pattern and flags; a later rule with the
+    // same name replaces the earlier one, as it would in a class body. The generated source itself is
+    // never evaluated, so other rule types and hand-edited rules are left out of the corpus test.
+    compileGeneratedRules() {
+        const source = document.getElementById('ruleOutput').textContent;
+        const rules = new Map();
+        const regexRule = /^\/\/ Regex Rule: .*\r?\n(?:\/\/.*\r?\n)*static extract(\w+)\(content\) \{\r?\n[ \t]*const match = content\.match\(\/(.+)\/([a-z]*)\);\r?\n[ \t]*return match \? match\[1\]\.trim\(\) : '';\r?\n\}/gm;
+
+        for (const [, method, patternSource, flags] of source.matchAll(regexRule)) {
+            const name = method.charAt(0).toLowerCase() + method.slice(1);
+            let pattern;
+            try {
+                pattern = new RegExp(patternSource, flags);
+            } catch (error) {
+                console.warn(`Skipping rule ${name}:`, error.message);
+                continue;
+            }
+            const extract = content => {
+                const match = content.match(pattern);
+                return match ? match[1] : '';
+            };
+            rules.set(name, { name, field: this.fieldForRule(name), extract });
+        }
+
+        return Array.from(rules.values());
+    }
+
+    // "job_number", "jobNumber" and "JobNumber" all test against the parser's jobNumber
+    fieldForRule(name) {
+        const key = name.toLowerCase().replace(/_/g, '');
+        return Object.keys(CORPUS_TEST_FIELDS).find(field =>
+            field.toLowerCase() === key || CORPUS_TEST_FIELDS[field].replace(/_/g, '') === key
+        ) || null;
+    }
+
+    // One corpus row: the parser's values against the generated rules run on the same decoded
+    // subject and body the parser reads, so encoded bodies are not misses
+    testCorpusEmail(columns, content, fileName) {
+        const fileType = fileName.toLowerCase().endsWith('.msg') ? 'msg' : 'eml';
+        const email = fileType === 'msg' ? EmailParser.parseMsg(content) : EmailParser.parseEml(content);
+        const { subject, body } = EmailParser.decodeText(content, fileType);
+        const text = `Subject: ${subject}\r\n\r\n${body}`;
+        return columns.map(column => this.testCorpusCell(column, email, text));
+    }
+
+    // hit: a value was found and any rule agrees with the parser; changed: the rule gives a different
+    // value than the parser does today; miss: nothing found (or the rule failed)
+    testCorpusCell(column, email, text) {
+        const parserValue = column.field ? String(email[column.field] || '').trim() : '';
+        if (!column.rule) {
+            return { status: parserValue ? 'hit' : 'miss', value: parserValue };
+        }
+
+        let ruleValue;
+        try {
+            ruleValue = String(column.rule.extract(text) || '').trim();
+        } catch (error) {
+            return { status: 'miss', value: `Rule error: ${error.message}` };
+        }
+
+        if (!ruleValue) {
+            return { status: 'miss', value: parserValue ? `Rule found nothing (parser: "${parserValue}")` : '' };
+        }
+        if (!column.field || ruleValue === parserValue) {
+            return { status: 'hit', value: ruleValue };
+        }
+        return { status: 'changed', value: `"${parserValue}" → "${ruleValue}"` };
+    }
+
+    showCorpusResults(columns, rows, ruleCount) {
+        const icons = { hit: '✅', miss: '➖', changed: '🔄' };
+        const escape = value => this.escapeHtml(value);
+
+        const totals = columns.map((column, index) => {
+            const counts = { hit: 0, miss: 0, changed: 0 };
+            rows.forEach(row => row.cells[index] && counts[row.cells[index].status]++);
+            return counts;
+        });
+
+        const header = columns.map(column => `
+            <th title="${column.rule ? 'Generated rule: ' + escape(column.rule.name) : 'Current parser'}">
+                ${escape(column.label)}${column.rule ? ' ⚡' : ''}
+            </th>
+        `).join('');
+
+        const body = rows.map(row => {
+            const cells = row.error
+                ? `<td colspan="${columns.length}" class="corpus-miss">Parse error: ${escape(row.error)}</td>`
+                : row.cells.map(cell => `
+                    <td class="corpus-${cell.status}" title="${escape(cell.value || 'no value')}">${icons[cell.status]}</td>
+                `).join('');
+            return `<tr><th class="corpus-file">${escape(row.name)}</th>${cells}</tr>`;
+        }).join('');
+
+        const footer = totals.map(counts => `
+            <td>${counts.hit} ✅ ${counts.changed} 🔄 ${counts.miss} ➖</td>
+        `).join('');
+
+        const existing = document.getElementById('corpusResults');
+        if (existing) existing.remove();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'corpusResults';
+        overlay.className = 'corpus-overlay';
+        overlay.innerHTML = `
+            <div class="corpus-dialog">
+                <div class="corpus-header">
+                    <h3>🗂️ Corpus Test: ${rows.length} emails, ${ruleCount} generated rule${ruleCount === 1 ? '' : 's'}</h3>
+                    <button id="closeCorpusResults">✖</button>
+                </div>
+                <p class="corpus-legend">✅ hit • 🔄 changed from the current parser • ➖ miss • ⚡ column tested with a generated rule • hover a cell for its value</p>
+                <div class="corpus-table-wrap">
+                    <table class="corpus-table">
+                        <thead><tr><th>Email</th>${header}</tr></thead>
+                        <tbody>${body}</tbody>
+                        <tfoot><tr><th>Totals</th>${footer}</tr></tfoot>
+                    </table>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+        document.getElementById('closeCorpusResults').addEventListener('click', () => overlay.remove());
+    }
+
     // Send parsed email data to Work Management System
     sendToWorkManagementSystem() {
         if (!this.currentEmail) {
@@ -2637,11 +3083,19 @@ class EmailInspector {
             // Open WMS in new tab/window
             const wmsWindow = window.open('workManagementSystem.html', 'wms_window');
             
-            // Send data via postMessage when window loads
+            // Send data via postMessage when window loads; attachment and source file Blobs only survive this route
             wmsWindow.onload = () => {
                 wmsWindow.postMessage({
                     type: 'EMAIL_IMPORT_DATA',
-                    data: wmsData
+                    data: {
+                        ...wmsData,
+                        email_attachments: this.currentEmail.attachments || [],
+                        email_source_file: {
+                            filename: this.currentFile.name,
+                            fileType: this.currentFile.name.split('.').pop().toLowerCase(),
+                            blob: this.currentFile
+                        }
+                    }
                 }, '*');
             };
 
@@ -2658,24 +3112,31 @@ class EmailInspector {
 
     // Prepare email data for Work Management System format
     prepareDataForWMS() {
-        const today = new Date().toISOString().split('T')[0];
-        const currentTime = new Date().toTimeString().split(' ')[0];
+        const today = EmailParser.toLocalDateString(new Date());
 
         return {
             // Job Information
             job_name: this.currentEmail.job_name || '',
             job_number: this.currentEmail.job_number || `AUTO-${Date.now()}`,
             building_code: this.currentEmail.building_code || '',
-            building_address: this.currentEmail.building_address || '',
+            building_address: this.currentEmail.building_address
+                || (this.currentEmail.addressParts && this.currentEmail.addressParts.formatted)
+                || this.currentEmail.address || '',
             
             // Device Information
             device_id: this.currentEmail.device_id || '',
             device_type: this.currentEmail.device_type || '',
             
-            // Schedule (default to today)
-            job_start_date: today,
-            job_start_time: '08:00',
-            job_end_time: '17:00',
+            // Schedule from the email's Date header / Scheduled: line (default to today)
+            job_start_date: this.currentEmail.jobDate || today,
+            job_start_time: this.currentEmail.jobStartTime || '08:00',
+            job_end_time: this.currentEmail.jobEndTime || '17:00',
+            job_dispatched_at: this.currentEmail.dispatchedAt || null,
+            job_scheduled_at: this.currentEmail.scheduledAt || null,
+            // WMS replaces a 'default' due time with its priority response table when it can
+            job_priority: this.currentEmail.priority || null,
+            job_due_at: this.currentEmail.dueAt || null,
+            job_due_source: this.currentEmail.dueAtSource || null,
             
             // Problem Details
             job_trouble_description: this.currentEmail.job_trouble_description || this.currentEmail.job_description || '',
@@ -2691,12 +3152,17 @@ class EmailInspector {
             
             // Additional fields from email
             job_device_details: this.currentEmail.device_details || '',
-            related_tickets: this.currentEmail.related_tickets || '',
+            job_related_tickets: (this.currentEmail.relatedTickets || []).join('\n'),
             
             // Email parsing metadata
             email_source: this.currentEmail.email_source || 'EmailInspector',
             email_parse_validation_status: this.currentEmail.email_parse_title_validation_status || 'valid',
             email_parse_validation_flags: this.currentEmail.email_parse_title_validation_flag || {},
+            email_parser_profile: this.currentEmail.parserProfile || null,
+            email_message_id: this.currentEmail.messageId || null,
+            email_content_hash: this.currentEmail.contentHash || null,
+            // Same id on the localStorage and postMessage copies so WMS imports the hand-off once
+            email_handoff_id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
             
             // Import timestamp
             imported_at: new Date().toISOString(),
@@ -2927,18 +3393,16 @@ class EmailInspector {
         const contentLines = lines.slice(contentStart);
         let content = contentLines.join('\n');
 
-        // Decode transfer encoding if needed
-        if (transferEncoding === 'base64') {
-            try {
-                content = atob(content.replace(/\s/g, ''));
-            } catch (e) {
-                content = `BASE64 decoding error: ${e.message}`;
-            }
-        } else if (transferEncoding === 'quoted-printable') {
-            content = this.decodeQuotedPrintable(content);
+        const isText = contentType.startsWith('text/');
+        const charset = EmailParser.parseHeaderParams(contentType).params.charset;
+
+        // Decode transfer encoding if needed; text parts are decoded with their declared charset
+        const encoding = (transferEncoding || '').toLowerCase();
+        if (encoding === 'base64' || encoding === 'quoted-printable') {
+            const bytes = EmailParser.decodeTransferEncoding(content, encoding);
+            content = isText ? EmailParser.decodeBytes(bytes, charset) : EmailParser.bytesToBinaryString(bytes);
         }
 
-        const isText = contentType.startsWith('text/');
         const isBinary = !isText;
 
         return {
@@ -2957,19 +3421,6 @@ class EmailInspector {
         };
     }
 
-    decodeQuotedPrintable(input) {
-        try {
-            return input
-                .replace(/=\r?\n/g, '') // Remove soft line breaks
-                .replace(/=([0-9A-F]{2})/gi, (match, hex) => {
-                    return String.fromCharCode(parseInt(hex, 16));
-                });
-        } catch (error) {
-            console.warn('Quoted-printable decoding error:', error);
-            return input;
-        }
-    }
-
     displayMimeParts() {
         const emailContent = document.getElementById('emailContent');
 
@@ -1,28 +1,1048 @@
+// Outlook .msg reader: Compound File Binary container + MAPI property streams
+const CFB_END_OF_CHAIN = 0xFFFFFFFE;
+const CFB_NO_STREAM = 0xFFFFFFFF;
+
+// MAPI property IDs we care about (upper 16 bits of the property tag)
+const MAPI_PROPS = {
+    subject: 0x0037,
+    clientSubmitTime: 0x0039,
+    sentRepresentingName: 0x0042,
+    transportHeaders: 0x007D,
+    senderName: 0x0C1A,
+    senderEmail: 0x0C1F,
+    deliveryTime: 0x0E06,
+    body: 0x1000,
+    bodyHtml: 0x1013,
+    internetCodepage: 0x3FDE,
+    messageCodepage: 0x3FFD,
+    internetMessageId: 0x1035,
+    senderSmtpAddress: 0x5D01,
+    attachDataBin: 0x3701,
+    attachFilename: 0x3704,
+    attachMethod: 0x3705,
+    attachLongFilename: 0x3707,
+    attachMimeTag: 0x370E
+};
+
+// MAPI property types (lower 16 bits of the property tag)
+const MAPI_TYPES = {
+    long: 0x0003,
+    systime: 0x0040,
+    string8: 0x001E,
+    unicode: 0x001F,
+    binary: 0x0102
+};
+
+class MsgReader {
+    constructor(arrayBuffer) {
+        this.view = new DataView(arrayBuffer);
+        this.bytes = new Uint8Array(arrayBuffer);
+        this.readHeader();
+        this.readFat();
+        this.readDirectory();
+        this.readMiniFat();
+    }
+
+    static isCompoundFile(arrayBuffer) {
+        const signature = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+        const bytes = new Uint8Array(arrayBuffer, 0, Math.min(8, arrayBuffer.byteLength));
+        return signature.every((b, i) => bytes[i] === b);
+    }
+
+    readHeader() {
+        if (!MsgReader.isCompoundFile(this.bytes.buffer)) {
+            throw new Error('Not an OLE compound file (bad signature)');
+        }
+
+        this.sectorSize = 1 << this.view.getUint16(0x1E, true);
+        this.miniSectorSize = 1 << this.view.getUint16(0x20, true);
+        this.fatSectorCount = this.view.getUint32(0x2C, true);
+        this.firstDirSector = this.view.getUint32(0x30, true);
+        this.miniStreamCutoff = this.view.getUint32(0x38, true);
+        this.firstMiniFatSector = this.view.getUint32(0x3C, true);
+        this.firstDifatSector = this.view.getUint32(0x44, true);
+    }
+
+    sectorOffset(sector) {
+        return (sector + 1) * this.sectorSize;
+    }
+
+    readFat() {
+        // The first 109 FAT sector locations live in the header, the rest in DIFAT sectors
+        const fatSectors = [];
+        for (let i = 0; i < 109 && fatSectors.length < this.fatSectorCount; i++) {
+            fatSectors.push(this.view.getUint32(0x4C + i * 4, true));
+        }
+
+        const entriesPerSector = this.sectorSize / 4;
+        let difatSector = this.firstDifatSector;
+        while (difatSector < CFB_END_OF_CHAIN && fatSectors.length < this.fatSectorCount) {
+            const offset = this.sectorOffset(difatSector);
+            for (let i = 0; i < entriesPerSector - 1 && fatSectors.length < this.fatSectorCount; i++) {
+                fatSectors.push(this.view.getUint32(offset + i * 4, true));
+            }
+            difatSector = this.view.getUint32(offset + (entriesPerSector - 1) * 4, true);
+        }
+
+        this.fat = [];
+        for (const sector of fatSectors) {
+            const offset = this.sectorOffset(sector);
+            for (let i = 0; i < entriesPerSector; i++) {
+                this.fat.push(this.view.getUint32(offset + i * 4, true));
+            }
+        }
+    }
+
+    readChain(startSector, table) {
+        const chain = [];
+        const seen = new Set();
+        let sector = startSector;
+        while (sector < CFB_END_OF_CHAIN && sector < table.length && !seen.has(sector)) {
+            seen.add(sector);
+            chain.push(sector);
+            sector = table[sector];
+        }
+        return chain;
+    }
+
+    readSectorChain(startSector, size = null) {
+        const chain = this.readChain(startSector, this.fat);
+        const out = new Uint8Array(chain.length * this.sectorSize);
+        chain.forEach((sector, i) => {
+            const offset = this.sectorOffset(sector);
+            out.set(this.bytes.subarray(offset, offset + this.sectorSize), i * this.sectorSize);
+        });
+        return size === null ? out : out.subarray(0, size);
+    }
+
+    readDirectory() {
+        const dirBytes = this.readSectorChain(this.firstDirSector);
+        const dirView = new DataView(dirBytes.buffer, dirBytes.byteOffset, dirBytes.byteLength);
+        this.entries = [];
+
+        for (let offset = 0; offset + 128 <= dirBytes.length; offset += 128) {
+            const nameLength = dirView.getUint16(offset + 0x40, true);
+            const name = new TextDecoder('utf-16le')
+                .decode(dirBytes.subarray(offset, offset + Math.max(0, nameLength - 2)));
+
+            this.entries.push({
+                id: this.entries.length,
+                name,
+                type: dirView.getUint8(offset + 0x42),
+                left: dirView.getUint32(offset + 0x44, true),
+                right: dirView.getUint32(offset + 0x48, true),
+                child: dirView.getUint32(offset + 0x4C, true),
+                startSector: dirView.getUint32(offset + 0x74, true),
+                size: dirView.getUint32(offset + 0x78, true)
+            });
+        }
+
+        this.root = this.entries[0];
+    }
+
+    readMiniFat() {
+        this.miniFat = [];
+        if (this.firstMiniFatSector < CFB_END_OF_CHAIN) {
+            const miniFatBytes = this.readSectorChain(this.firstMiniFatSector);
+            const miniFatView = new DataView(miniFatBytes.buffer, miniFatBytes.byteOffset, miniFatBytes.byteLength);
+            for (let i = 0; i < miniFatBytes.length / 4; i++) {
+                this.miniFat.push(miniFatView.getUint32(i * 4, true));
+            }
+        }
+
+        // The root entry's stream is the container for all mini-sector streams
+        this.miniStream = this.root.startSector < CFB_END_OF_CHAIN
+            ? this.readSectorChain(this.root.startSector, this.root.size)
+            : new Uint8Array(0);
+    }
+
+    readStream(entry) {
+        if (entry.size === 0) return new Uint8Array(0);
+
+        if (entry.size >= this.miniStreamCutoff) {
+            return this.readSectorChain(entry.startSector, entry.size);
+        }
+
+        const chain = this.readChain(entry.startSector, this.miniFat);
+        const out = new Uint8Array(chain.length * this.miniSectorSize);
+        chain.forEach((sector, i) => {
+            const offset = sector * this.miniSectorSize;
+            out.set(this.miniStream.subarray(offset, offset + this.miniSectorSize), i * this.miniSectorSize);
+        });
+        return out.subarray(0, entry.size);
+    }
+
+    // Storage children are kept in a red-black tree of siblings under `child`
+    getChildren(storage) {
+        const children = [];
+        const stack = [storage.child];
+        const seen = new Set();
+
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (id === CFB_NO_STREAM || id >= this.entries.length || seen.has(id)) continue;
+            seen.add(id);
+
+            const entry = this.entries[id];
+            children.push(entry);
+            stack.push(entry.left, entry.right);
+        }
+
+        return children;
+    }
+
+    // Read every __substg1.0_ stream plus the fixed-size __properties_version1.0 values of a storage
+    readProperties(storage, propertiesHeaderSize, codepage = null) {
+        const props = {};
+        const children = this.getChildren(storage);
+
+        const propertyStream = children.find(entry => entry.name === '__properties_version1.0');
+        if (propertyStream) {
+            const data = this.readStream(propertyStream);
+            const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            for (let offset = propertiesHeaderSize; offset + 16 <= data.length; offset += 16) {
+                const tag = view.getUint32(offset, true);
+                const type = tag & 0xFFFF;
+                const id = tag >>> 16;
+
+                if (type === MAPI_TYPES.long) {
+                    props[id] = view.getUint32(offset + 8, true);
+                } else if (type === MAPI_TYPES.systime) {
+                    props[id] = MsgReader.fileTimeToDate(
+                        view.getUint32(offset + 8, true),
+                        view.getUint32(offset + 12, true)
+                    );
+                }
+            }
+        }
+
+        const stringCodepage = codepage || props[MAPI_PROPS.internetCodepage] || props[MAPI_PROPS.messageCodepage];
+
+        for (const entry of children) {
+            const match = entry.name.match(/^__substg1\.0_([0-9A-F]{4})([0-9A-F]{4})$/i);
+            if (!match || entry.type !== 2) continue;
+
+            const id = parseInt(match[1], 16);
+            const type = parseInt(match[2], 16);
+            const data = this.readStream(entry);
+
+            if (type === MAPI_TYPES.unicode) {
+                props[id] = new TextDecoder('utf-16le').decode(data).replace(/\0+$/, '');
+            } else if (type === MAPI_TYPES.string8) {
+                props[id] = MsgReader.decodeCodepage(data, stringCodepage).replace(/\0+$/, '');
+            } else if (type === MAPI_TYPES.binary) {
+                props[id] = data;
+            }
+        }
+
+        return { props, codepage: stringCodepage, children };
+    }
+
+    static fileTimeToDate(low, high) {
+        // FILETIME counts 100ns intervals since 1601-01-01
+        const ms = (high * 4294967296 + low) / 10000 - 11644473600000;
+        return new Date(ms);
+    }
+
+    static decodeCodepage(bytes, codepage) {
+        const labels = {
+            65001: 'utf-8', 1200: 'utf-16le', 20127: 'us-ascii', 28591: 'iso-8859-1',
+            932: 'shift_jis', 936: 'gbk', 949: 'euc-kr', 950: 'big5'
+        };
+        let label = labels[codepage] || 'windows-1252';
+        if (codepage >= 1250 && codepage <= 1258) label = `windows-${codepage}`;
+
+        try {
+            return EmailParser.decodeWithLabel(bytes, label);
+        } catch (e) {
+            return EmailParser.decodeWithLabel(bytes, 'windows-1252');
+        }
+    }
+
+    static read(arrayBuffer) {
+        const reader = new MsgReader(arrayBuffer);
+        const P = MAPI_PROPS;
+        const { props, codepage, children } = reader.readProperties(reader.root, 32);
+
+        // PR_BODY_HTML is usually stored as binary in the message's internet codepage
+        let html = props[P.bodyHtml] || '';
+        if (html instanceof Uint8Array) {
+            html = MsgReader.decodeCodepage(html, codepage || 65001);
+        }
+
+        const attachments = children
+            .filter(entry => entry.type === 1 && entry.name.startsWith('__attach_version1.0_'))
+            .map(storage => {
+                const attach = reader.readProperties(storage, 8, codepage).props;
+                const data = attach[P.attachDataBin];
+                return {
+                    filename: attach[P.attachLongFilename] || attach[P.attachFilename] || storage.name,
+                    mimeType: attach[P.attachMimeTag] || 'application/octet-stream',
+                    method: attach[P.attachMethod] || null,
+                    data: data instanceof Uint8Array ? data : null
+                };
+            });
+
+        return {
+            subject: props[P.subject] || '',
+            body: props[P.body] || '',
+            html,
+            senderName: props[P.senderName] || props[P.sentRepresentingName] || '',
+            senderEmail: props[P.senderSmtpAddress] || props[P.senderEmail] || '',
+            sentDate: props[P.clientSubmitTime] || props[P.deliveryTime] || null,
+            transportHeaders: props[P.transportHeaders] || '',
+            messageId: props[P.internetMessageId] || '',
+            attachments
+        };
+    }
+}
+
+// Built-in extraction profiles. Same shape as a rules JSON file, so a new dispatcher
+// layout can be added with EmailRuleRegistry.loadJson() instead of code changes.
+//   label:      literal label text; the value is captured after it
+//   value:      regex source for the captured value (default: rest of the line)
+//   regex:      full regex source with one capture group (overrides label/value)
+//   anchor:     "line" = label must start a line, "any" = anywhere (default)
+//   multiline:  keep appending following lines until a line matches `until`
+//   transform:  "upper" | "lower" | "collapse" | "qp" (clean leftover quoted-printable escapes)
+//   confidence: 0..1, how specific the rule is
+// A profile's optional `match` block lists regex sources tested against the From,
+// Reply-To and X-Mailer headers; the first profile with a hit is used for that
+// email, otherwise `fallbackProfile`.
+const DEFAULT_RULE_PROFILES = {
+    activeProfile: 'default',
+    fallbackProfile: 'generic',
+    profiles: {
+        default: {
+            description: 'SIM-T service call layout',
+            match: {
+                from: ['sim-?t'],
+                replyTo: ['sim-?t'],
+                xMailer: ['sim-?t']
+            },
+            fields: {
+                jobNumber: [
+                    { name: 'simt_ticket', label: 'SIM-T Ticket:', value: '[VP]\\d+', transform: 'upper', confidence: 0.95 }
+                ],
+                deviceName: [
+                    { name: 'device_name', label: 'Device Name:', confidence: 0.9 }
+                ],
+                problemDescription: [
+                    {
+                        name: 'problem_description', label: 'Problem Description:', anchor: 'line',
+                        multiline: true, until: '^[-=_*]{2,}|---|___', transform: 'qp', confidence: 0.9
+                    }
+                ],
+                building: [
+                    { name: 'work_site', label: 'Work Site:', confidence: 0.95 },
+                    { name: 'worksite', label: 'WorkSite:', confidence: 0.8 },
+                    { name: 'site', label: 'Site:', confidence: 0.5 }
+                ],
+                address: [
+                    { name: 'work_site_address', label: 'Work Site Address:', confidence: 0.95 },
+                    { name: 'site_address', label: 'Site Address:', confidence: 0.8 },
+                    { name: 'address', label: 'Address:', confidence: 0.5 }
+                ]
+            }
+        },
+        building_management: {
+            description: 'Building management / facilities work orders',
+            match: {
+                from: ['facilit', 'building', 'property', 'bms'],
+                replyTo: ['facilit', 'building', 'property'],
+                xMailer: ['maximo', 'archibus', 'cmms']
+            },
+            fields: {
+                jobNumber: [
+                    { name: 'simt_ticket', label: 'SIM-T Ticket:', value: '[VP]\\d+', transform: 'upper', confidence: 0.95 },
+                    { name: 'work_order', regex: '(?:Work Order|WO)\\s*(?:#|No\\.?|Number)?[:\\s]*([A-Z0-9][A-Z0-9-]{2,})', transform: 'upper', confidence: 0.8 }
+                ],
+                deviceName: [
+                    { name: 'device_name', label: 'Device Name:', confidence: 0.9 },
+                    { name: 'equipment', label: 'Equipment:', confidence: 0.75 },
+                    { name: 'asset', label: 'Asset:', confidence: 0.6 }
+                ],
+                problemDescription: [
+                    {
+                        name: 'problem_description', label: 'Problem Description:', anchor: 'line',
+                        multiline: true, until: '^[-=_*]{2,}|---|___', transform: 'qp', confidence: 0.9
+                    },
+                    {
+                        name: 'description', label: 'Description:', anchor: 'line',
+                        multiline: true, until: '^[-=_*]{2,}|^[A-Z][\\w ]{1,30}:', transform: 'qp', confidence: 0.75
+                    }
+                ],
+                building: [
+                    { name: 'work_site', label: 'Work Site:', confidence: 0.95 },
+                    { name: 'building', label: 'Building:', anchor: 'line', confidence: 0.85 },
+                    { name: 'property', label: 'Property:', anchor: 'line', confidence: 0.75 },
+                    { name: 'location', label: 'Location:', anchor: 'line', confidence: 0.5 }
+                ],
+                address: [
+                    { name: 'work_site_address', label: 'Work Site Address:', confidence: 0.95 },
+                    { name: 'property_address', label: 'Property Address:', confidence: 0.85 },
+                    { name: 'address', label: 'Address:', confidence: 0.6 }
+                ]
+            }
+        },
+        generic: {
+            description: 'Fallback for unrecognised senders (direct customer emails)',
+            fields: {
+                jobNumber: [
+                    { name: 'simt_ticket', label: 'SIM-T Ticket:', value: '[VP]\\d+', transform: 'upper', confidence: 0.95 },
+                    { name: 'ticket_number', regex: '(?:Ticket|Case|Work Order)\\s*(?:#|No\\.?|Number)[:\\s]*([A-Z0-9][A-Z0-9-]{2,})', transform: 'upper', confidence: 0.6 }
+                ],
+                deviceName: [
+                    { name: 'device_name', label: 'Device Name:', confidence: 0.9 },
+                    { name: 'device', label: 'Device:', anchor: 'line', confidence: 0.6 }
+                ],
+                problemDescription: [
+                    {
+                        name: 'problem_description', label: 'Problem Description:', anchor: 'line',
+                        multiline: true, until: '^[-=_*]{2,}|---|___', transform: 'qp', confidence: 0.9
+                    },
+                    {
+                        name: 'issue', regex: '^[ \\t]*(?:Issue|Problem|Description):[ \\t]*([^\\r\\n]+)', flags: 'im',
+                        transform: 'qp', confidence: 0.5
+                    }
+                ],
+                building: [
+                    { name: 'work_site', label: 'Work Site:', confidence: 0.95 },
+                    { name: 'worksite', label: 'WorkSite:', confidence: 0.8 },
+                    { name: 'site', label: 'Site:', confidence: 0.5 },
+                    { name: 'building', label: 'Building:', anchor: 'line', confidence: 0.5 }
+                ],
+                address: [
+                    { name: 'work_site_address', label: 'Work Site Address:', confidence: 0.95 },
+                    { name: 'site_address', label: 'Site Address:', confidence: 0.8 },
+                    { name: 'address', label: 'Address:', confidence: 0.5 }
+                ]
+            }
+        }
+    }
+};
+
+// Fields every profile result exposes at the top level of extractData()
+const CORE_FIELDS = ['jobNumber', 'deviceName', 'problemDescription', 'building', 'address'];
+
+// Profile `match` keys and the message headers they are tested against
+const SENDER_HEADERS = {
+    from: 'from',
+    replyTo: 'reply-to',
+    xMailer: 'x-mailer'
+};
+
+class EmailRuleRegistry {
+    constructor() {
+        this.profiles = {};
+        this.activeProfile = 'default';
+        this.fallbackProfile = 'default';
+    }
+
+    static withDefaults() {
+        const registry = new EmailRuleRegistry();
+        registry.loadJson(DEFAULT_RULE_PROFILES);
+
+        // Rules imported through the WMS settings survive page reloads
+        if (typeof localStorage !== 'undefined') {
+            const stored = localStorage.getItem('emailParserRules');
+            if (stored) {
+                try {
+                    registry.loadJson(stored);
+                } catch (error) {
+                    console.warn('Ignoring invalid stored parser rules:', error);
+                }
+            }
+        }
+
+        return registry;
+    }
+
+    // Accepts a JSON string or an already-parsed object; returns the loaded profile names.
+    // Nothing is registered unless every profile in it compiles.
+    loadJson(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || typeof data.profiles !== 'object') {
+            throw new Error('Rules JSON must contain a "profiles" object');
+        }
+
+        const compiled = Object.entries(data.profiles).map(([name, definition]) =>
+            EmailRuleRegistry.compileProfile(name, definition));
+        const known = name => this.profiles[name] || compiled.some(profile => profile.name === name);
+        if (data.activeProfile && !known(data.activeProfile)) {
+            throw new Error(`Unknown parser profile: ${data.activeProfile}`);
+        }
+        if (data.fallbackProfile && !known(data.fallbackProfile)) {
+            throw new Error(`Unknown fallback profile: ${data.fallbackProfile}`);
+        }
+
+        compiled.forEach(profile => this.profiles[profile.name] = profile);
+        if (data.activeProfile) {
+            this.activeProfile = data.activeProfile;
+        }
+        if (data.fallbackProfile) {
+            this.fallbackProfile = data.fallbackProfile;
+        }
+
+        return compiled.map(profile => profile.name);
+    }
+
+    registerProfile(name, definition) {
+        this.profiles[name] = EmailRuleRegistry.compileProfile(name, definition);
+    }
+
+    static compileProfile(name, definition) {
+        if (!definition || typeof definition.fields !== 'object') {
+            throw new Error(`Profile "${name}" must define "fields"`);
+        }
+
+        const fields = {};
+        for (const [field, rules] of Object.entries(definition.fields)) {
+            if (!Array.isArray(rules)) {
+                throw new Error(`Profile "${name}" field "${field}" must be an array of rules`);
+            }
+            fields[field] = rules.map((rule, index) => EmailRuleRegistry.compileRule(rule, `${name}.${field}[${index}]`));
+
+            // Provenance names the rule that matched, so it has to be unambiguous
+            const duplicate = fields[field].find((rule, index) =>
+                fields[field].findIndex(other => other.name === rule.name) !== index);
+            if (duplicate) {
+                throw new Error(`Profile "${name}" field "${field}" has more than one rule named "${duplicate.name}"`);
+            }
+        }
+
+        const match = {};
+        for (const [header, patterns] of Object.entries(definition.match || {})) {
+            if (!SENDER_HEADERS[header]) {
+                throw new Error(`Profile "${name}" matches unknown header "${header}"`);
+            }
+            match[header] = [].concat(patterns).map(pattern =>
+                EmailRuleRegistry.compileRegExp(pattern, 'i', `Profile "${name}" ${header} match`));
+        }
+
+        return { ...definition, name, fields, match, source: definition };
+    }
+
+    static compileRule(rule, ruleId) {
+        if (!rule.regex && !rule.label) {
+            throw new Error(`Rule ${ruleId} needs a "label" or a "regex"`);
+        }
+
+        let source = rule.regex;
+        if (!source) {
+            const label = rule.label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const prefix = rule.anchor === 'line' ? '^[ \\t]*' : '';
+            source = `${prefix}${label}[ \\t]*(${rule.value || '[^\\r\\n]+'})`;
+        }
+
+        const flags = (rule.flags || 'i').replace(/[gd]/g, '') + (rule.anchor === 'line' && !/m/.test(rule.flags || '') ? 'm' : '');
+
+        return {
+            name: rule.name || ruleId,
+            pattern: EmailRuleRegistry.compileRegExp(source, flags + 'd', `Rule ${ruleId}`),
+            until: rule.until ? EmailRuleRegistry.compileRegExp(rule.until, '', `Rule ${ruleId} "until"`) : null,
+            multiline: !!rule.multiline,
+            transform: rule.transform || null,
+            confidence: typeof rule.confidence === 'number' ? rule.confidence : 0.5
+        };
+    }
+
+    // new RegExp, with an error that says which rule the pattern belongs to
+    static compileRegExp(source, flags, owner) {
+        try {
+            return new RegExp(source, flags);
+        } catch (error) {
+            throw new Error(`${owner} has an invalid regex: ${error.message}`);
+        }
+    }
+
+    setActiveProfile(name) {
+        if (!this.profiles[name]) {
+            throw new Error(`Unknown parser profile: ${name}`);
+        }
+        this.activeProfile = name;
+    }
+
+    getProfile(name = null) {
+        return this.profiles[name || this.activeProfile] || this.profiles.default;
+    }
+
+    listProfiles() {
+        return Object.keys(this.profiles);
+    }
+
+    // Pick the profile whose sender criteria match the message headers
+    // (lower-cased names as returned by EmailParser.parseHeaders)
+    selectProfile(headers = {}) {
+        for (const profile of Object.values(this.profiles)) {
+            for (const [header, patterns] of Object.entries(profile.match)) {
+                const value = headers[SENDER_HEADERS[header]] || '';
+                const pattern = value && patterns.find(candidate => candidate.test(value));
+                if (pattern) {
+                    return { profile: profile.name, matchedOn: `${header} ~ /${pattern.source}/` };
+                }
+            }
+        }
+        return { profile: this.getProfile(this.fallbackProfile).name, matchedOn: 'fallback' };
+    }
+
+    // Serialize every registered profile back into the rules JSON format
+    toJson() {
+        const profiles = {};
+        for (const [name, profile] of Object.entries(this.profiles)) {
+            profiles[name] = profile.source;
+        }
+        return JSON.stringify({
+            activeProfile: this.activeProfile,
+            fallbackProfile: this.fallbackProfile,
+            profiles
+        }, null, 2);
+    }
+}
+
+// Fields below this confidence are flagged for manual review
+const LOW_CONFIDENCE_THRESHOLD = 0.7;
+
+// Response window used for the SLA due time when the email gives no deadline
+// (WMS replaces it with its priority→response-time table)
+const DEFAULT_RESPONSE_HOURS = 24;
+
+// Ticket and device numbers that link an email to other tickets
+const RELATED_TICKET_PATTERN = /\b(?:B-\d{6}|V\d{10}|P\d{9})\b/gi;
+
+// USPS abbreviations for street suffixes, units and directions (full and already-abbreviated forms)
+const ADDRESS_ABBREVIATIONS = {
+    street: 'St', st: 'St', avenue: 'Ave', ave: 'Ave', av: 'Ave', road: 'Rd', rd: 'Rd',
+    boulevard: 'Blvd', blvd: 'Blvd', drive: 'Dr', dr: 'Dr', lane: 'Ln', ln: 'Ln',
+    court: 'Ct', ct: 'Ct', place: 'Pl', pl: 'Pl', parkway: 'Pkwy', pkwy: 'Pkwy',
+    highway: 'Hwy', hwy: 'Hwy', terrace: 'Ter', ter: 'Ter', circle: 'Cir', cir: 'Cir',
+    square: 'Sq', sq: 'Sq', way: 'Way', plaza: 'Plz', plz: 'Plz',
+    suite: 'Ste', ste: 'Ste', building: 'Bldg', bldg: 'Bldg', floor: 'Fl', fl: 'Fl',
+    room: 'Rm', rm: 'Rm', unit: 'Unit', po: 'PO', box: 'Box',
+    north: 'N', n: 'N', south: 'S', s: 'S', east: 'E', e: 'E', west: 'W', w: 'W',
+    northeast: 'NE', ne: 'NE', northwest: 'NW', nw: 'NW', southeast: 'SE', se: 'SE', southwest: 'SW', sw: 'SW'
+};
+
+// Words that end the street part, used to find the city when an address has no commas
+const STREET_SUFFIXES = ['St', 'Ave', 'Rd', 'Blvd', 'Dr', 'Ln', 'Ct', 'Pl', 'Pkwy', 'Hwy', 'Ter', 'Cir', 'Sq', 'Way', 'Plz'];
+// Words after the street name that still belong to the street: "Ave N", "St Ste 200"
+const STREET_DIRECTIONS = ['N', 'S', 'E', 'W', 'NE', 'NW', 'SE', 'SW'];
+const STREET_UNITS = ['Ste', 'Bldg', 'Fl', 'Rm', 'Unit', 'Apt', 'PO', 'Box'];
+
+const US_STATES = {
+    alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+    connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC', florida: 'FL', georgia: 'GA',
+    hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY',
+    louisiana: 'LA', maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+    mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH',
+    'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+    ohio: 'OH', oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI',
+    'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT',
+    virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY'
+};
+
+// Worded priorities some senders use instead of P1–P5
+const PRIORITY_WORDS = {
+    emergency: 'P1', critical: 'P1', urgent: 'P1',
+    high: 'P2',
+    medium: 'P3', normal: 'P3', routine: 'P3',
+    low: 'P4'
+};
+
+// windows-1252 characters for bytes 0x80-0x9F, where it differs from ISO-8859-1
+const WINDOWS_1252_HIGH = '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F'
+    + '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\u009D\u017E\u0178';
+
+// Named entities that show up in dispatch emails; numeric ones are decoded generically
+const HTML_ENTITIES = {
+    nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+    ndash: '\u2013', mdash: '\u2014', hellip: '\u2026', bull: '\u2022', middot: '\u00B7',
+    lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201C', rdquo: '\u201D',
+    copy: '\u00A9', reg: '\u00AE', trade: '\u2122', deg: '\u00B0', euro: '\u20AC',
+    eacute: '\u00E9', egrave: '\u00E8', aacute: '\u00E1', agrave: '\u00E0', ccedil: '\u00E7',
+    uuml: '\u00FC', ouml: '\u00F6', auml: '\u00E4', ntilde: '\u00F1', szlig: '\u00DF'
+};
+
+// Keywords that mark an email as changing an existing ticket, strongest first
+const EMAIL_TYPE_KEYWORDS = {
+    closure: /\b(?:closed|closing|close[ -]?out|resolved|completed|cancell?ed|no further action)\b/i,
+    escalation: /\b(?:escalat(?:ed|ion|ing)|urgent|emergency|priority (?:raised|increased|upgraded))\b/i,
+    update: /\b(?:update[ds]?|reassign(?:ed|ment)?|follow[ -]?up|additional info(?:rmation)?)\b/i
+};
+
 class EmailParser {
+    // Accepts the file as text or, preferably, as an ArrayBuffer/Uint8Array so 8-bit
+    // parts can be decoded with their own declared charset
     static parseEml(content) {
         console.log('=== EML PARSING DEBUG ===');
+        const binary = typeof content !== 'string';
+        if (binary) {
+            content = this.bytesToBinaryString(new Uint8Array(content));
+        }
         console.log('Raw content length:', content.length);
-        console.log('First 500 chars:', content.substring(0, 500));
-        
-        // Find all subject lines
-        const subjectMatches = content.match(/^Subject:.*$/gm);
-        console.log('All Subject lines found:', subjectMatches);
-        
-        // Simple extraction
-        const lines = content.split('\n');
-        let subject = '';
-        for (let line of lines) {
-            if (line.toLowerCase().startsWith('subject:')) {
-                subject = line.substring(8).trim();
-                console.log('Extracted subject:', subject);
+
+        // Walk the full MIME tree so multipart, base64 and quoted-printable
+        // messages reach the extractors as decoded text
+        const message = this.parseMimeEntity(content, binary);
+        const subject = message.headers['subject'] || '';
+        console.log('Extracted subject:', subject);
+
+        const body = this.findBodyText(message);
+        console.log('Decoded body length:', body.length);
+
+        const selection = this.ruleRegistry.selectProfile(message.headers);
+        console.log('Parser profile:', selection.profile, '(' + selection.matchedOn + ')');
+
+        const data = this.extractData(subject, body, selection.profile);
+        const dateHeader = message.headers['date'] ? new Date(message.headers['date']) : null;
+        const sentDate = dateHeader && !isNaN(dateHeader) ? dateHeader : null;
+
+        return {
+            ...data,
+            ...this.deriveSchedule(sentDate, data.newestMessage),
+            parserProfileMatch: selection.matchedOn,
+            sender: message.headers['from'] || '',
+            sentDate: sentDate ? sentDate.toISOString() : null,
+            messageId: this.normalizeMessageId(message.headers['message-id']),
+            contentHash: this.contentHash(message.headers['from'], sentDate, subject, body),
+            attachments: this.flattenParts(message)
+                .filter(part => part.filename || part.disposition === 'attachment')
+                .map(part => this.toAttachment(
+                    part.filename || 'attachment',
+                    part.contentType,
+                    part.bytes || new TextEncoder().encode(part.text)
+                ))
+        };
+    }
+
+    // Parse one MIME entity (the whole message or a single part) into a tree node
+    static parseMimeEntity(raw, binary = false) {
+        const { headerText, bodyText } = this.splitHeaderBody(raw);
+        const headers = this.parseHeaders(headerText);
+
+        const contentType = this.parseHeaderParams(headers['content-type'] || 'text/plain');
+        const disposition = this.parseHeaderParams(headers['content-disposition'] || '');
+
+        const entity = {
+            headers,
+            contentType: contentType.value.toLowerCase() || 'text/plain',
+            charset: contentType.params.charset || '',
+            transferEncoding: (headers['content-transfer-encoding'] || '7bit').toLowerCase(),
+            disposition: disposition.value.toLowerCase(),
+            filename: disposition.params.filename || contentType.params.name || null,
+            children: [],
+            text: '',
+            bytes: null,
+            size: 0
+        };
+
+        if (entity.contentType.startsWith('multipart/') && contentType.params.boundary) {
+            entity.children = this.splitMultipart(bodyText, contentType.params.boundary)
+                .map(partRaw => this.parseMimeEntity(partRaw, binary));
+        } else if (entity.contentType === 'message/rfc822') {
+            entity.children = [this.parseMimeEntity(bodyText, binary)];
+        } else if (entity.contentType.startsWith('text/')) {
+            const bytes = this.decodeTransferEncoding(bodyText, entity.transferEncoding, binary);
+            entity.text = bytes ? this.decodeBytes(bytes, entity.charset) : bodyText;
+            entity.bytes = bytes;
+            entity.size = entity.text.length;
+        } else {
+            const bytes = this.decodeTransferEncoding(bodyText, entity.transferEncoding, binary);
+            entity.bytes = bytes || new TextEncoder().encode(bodyText);
+            entity.size = entity.bytes.length;
+        }
+
+        return entity;
+    }
+
+    static splitHeaderBody(raw) {
+        const match = raw.match(/\r?\n\r?\n/);
+        if (!match) {
+            return { headerText: raw, bodyText: '' };
+        }
+        return {
+            headerText: raw.substring(0, match.index),
+            bodyText: raw.substring(match.index + match[0].length)
+        };
+    }
+
+    // Split "value; key=val; key2="val 2"" into { value, params }
+    static parseHeaderParams(headerValue) {
+        const segments = headerValue.match(/(?:[^;"]+|"[^"]*")+/g) || [''];
+        const params = {};
+
+        for (const segment of segments.slice(1)) {
+            const eqIndex = segment.indexOf('=');
+            if (eqIndex === -1) continue;
+            const key = segment.substring(0, eqIndex).trim().toLowerCase();
+            const value = segment.substring(eqIndex + 1).trim().replace(/^"|"$/g, '');
+
+            // RFC 2231 extended values: filename*=UTF-8''Plan%20%C3%A9tage.pdf
+            const extended = key.endsWith('*') && value.match(/^([^']*)'[^']*'(.*)$/);
+            if (extended) {
+                const bytes = this.binaryStringToBytes(extended[2].replace(/%([0-9A-F]{2})/gi,
+                    (match, hex) => String.fromCharCode(parseInt(hex, 16))));
+                params[key.slice(0, -1)] = this.decodeBytes(bytes, extended[1]);
+                continue;
+            }
+            params[key] = value;
+        }
+
+        return { value: segments[0].trim(), params };
+    }
+
+    static splitMultipart(body, boundary) {
+        const parts = [];
+        const delimiter = '--' + boundary;
+        const lines = body.split(/\r?\n/);
+        let current = null;
+
+        for (const line of lines) {
+            const trimmed = line.trimEnd();
+            if (trimmed === delimiter + '--') {
+                if (current) parts.push(current.join('\n'));
+                current = null;
                 break;
             }
+            if (trimmed === delimiter) {
+                if (current) parts.push(current.join('\n'));
+                current = [];
+                continue;
+            }
+            if (current) current.push(line);
         }
-        
-        const body = content.split(/\n\s*\n/).slice(1).join('\n');
-        return this.extractData(subject, body);
+
+        // Tolerate a missing closing delimiter
+        if (current) parts.push(current.join('\n'));
+
+        return parts;
     }
-    
+
+    // Undo Content-Transfer-Encoding, returning raw bytes
+    static decodeTransferEncoding(body, encoding, binary = false) {
+        if (encoding === 'base64') {
+            return this.base64ToBytes(body);
+        }
+
+        if (encoding === 'quoted-printable') {
+            return this.quotedPrintableToBytes(body.replace(/=\r?\n/g, ''), binary);
+        }
+
+        // 7bit / 8bit / binary: raw bytes when the file was read as binary,
+        // otherwise the text was already decoded by whoever read the file
+        return binary ? this.binaryStringToBytes(body) : null;
+    }
+
+    // Plain base64 decoder (no atob, so it also runs outside the browser)
+    static base64ToBytes(text) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+        const clean = text.replace(/[^A-Za-z0-9+/]/g, '');
+        const bytes = new Uint8Array(Math.floor(clean.length * 3 / 4));
+        let buffer = 0;
+        let bits = 0;
+        let length = 0;
+
+        for (const ch of clean) {
+            buffer = (buffer << 6) | alphabet.indexOf(ch);
+            bits += 6;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes[length++] = (buffer >> bits) & 0xFF;
+            }
+        }
+
+        return bytes.subarray(0, length);
+    }
+
+    // "=XX" escapes become bytes. Literal non-ASCII characters are bytes already when the
+    // file was read as binary; otherwise they were decoded as UTF-8 on reading, so re-encode them.
+    static quotedPrintableToBytes(text, binary = false) {
+        const encoder = new TextEncoder();
+        const bytes = [];
+        for (let i = 0; i < text.length; i++) {
+            const hex = text.substring(i + 1, i + 3);
+            if (text[i] === '=' && /^[0-9A-F]{2}$/i.test(hex)) {
+                bytes.push(parseInt(hex, 16));
+                i += 2;
+            } else if (!binary && text.charCodeAt(i) > 0x7F) {
+                const codePoint = text.codePointAt(i);
+                const ch = String.fromCodePoint(codePoint);
+                bytes.push(...encoder.encode(ch));
+                i += ch.length - 1;
+            } else {
+                bytes.push(text.charCodeAt(i));
+            }
+        }
+        return Uint8Array.from(bytes);
+    }
+
+    static binaryStringToBytes(str) {
+        return Uint8Array.from(str, ch => ch.charCodeAt(0) & 0xFF);
+    }
+
+    static normalizeMessageId(value) {
+        return (value || '').trim().replace(/^<|>$/g, '');
+    }
+
+    // Fingerprint of what the email says (sender address, send time, subject, body) so the
+    // same message is recognised whether it was saved as .eml or .msg; 53-bit cyrb53 as hex
+    static contentHash(sender, sentDate, subject, body) {
+        const address = ((sender || '').match(/[^\s<>"]+@[^\s<>"]+/) || [sender || ''])[0].toLowerCase();
+        const text = [address, sentDate ? new Date(sentDate).toISOString() : '', subject || '', body || '']
+            .map(part => part.replace(/\s+/g, ' ').trim())
+            .join('\n');
+
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+    }
+
+    // One char per byte; chunked so large attachments don't overflow the call stack
+    static bytesToBinaryString(bytes) {
+        let str = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            str += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return str;
+    }
+
+    // Decode with the declared charset. Undeclared text is tried as UTF-8 first and
+    // falls back to windows-1252 (a superset of ISO-8859-1) when it is not valid UTF-8.
+    static decodeBytes(bytes, charset) {
+        const label = (charset || '').trim().toLowerCase();
+        if (!label || label === 'us-ascii') {
+            try {
+                return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            } catch (e) {
+                return this.decodeWithLabel(bytes, 'windows-1252');
+            }
+        }
+
+        try {
+            return this.decodeWithLabel(bytes, label);
+        } catch (e) {
+            console.warn('Unknown charset, falling back to UTF-8:', charset);
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+    }
+
+    // TextDecoder for a charset label. Node 20 and later decode windows-1252 (and the
+    // ISO-8859-1 labels that mean it) as plain ISO-8859-1, so map 0x80-0x9F here.
+    static decodeWithLabel(bytes, label) {
+        const decoder = new TextDecoder(label);
+        const text = decoder.decode(bytes);
+        return decoder.encoding === 'windows-1252'
+            ? text.replace(/[\x80-\x9F]/g, ch => WINDOWS_1252_HIGH[ch.charCodeAt(0) - 0x80])
+            : text;
+    }
+
+    // Attachment as returned by parseEml/parseMsg; the Blob is omitted where Blob doesn't exist
+    static toAttachment(filename, mimeType, bytes) {
+        return {
+            filename,
+            mimeType: mimeType || 'application/octet-stream',
+            size: bytes.length,
+            blob: typeof Blob !== 'undefined' ? new Blob([bytes], { type: mimeType || 'application/octet-stream' }) : null
+        };
+    }
+
+    static flattenParts(entity) {
+        if (entity.children.length === 0) return [entity];
+        return entity.children.flatMap(child => this.flattenParts(child));
+    }
+
+    // Pick the best readable body: text/plain first, converted text/html second
+    static findBodyText(entity) {
+        const textParts = this.flattenParts(entity).filter(part =>
+            part.contentType.startsWith('text/') && part.disposition !== 'attachment'
+        );
+
+        const plain = textParts.find(part => part.contentType === 'text/plain' && part.text.trim());
+        if (plain) return plain.text;
+
+        const html = textParts.find(part => part.contentType === 'text/html' && part.text.trim());
+        if (html) return this.htmlToText(html.text);
+
+        return '';
+    }
+
+    // Turn an HTML body into the line-based "Label: value" text the extraction rules
+    // expect: table rows become label/value lines, block elements become line breaks
+    static htmlToText(html) {
+        let text = html
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<(script|style|head|title)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+            .replace(/\s+/g, ' ');  // source whitespace is not significant in HTML
+
+        // Innermost tables first so nested layout tables collapse from the inside out
+        const innerTable = /<table\b[^>]*>((?:(?!<table\b)[\s\S])*?)<\/table\s*>/i;
+        while (innerTable.test(text)) {
+            text = text.replace(innerTable, (match, body) => '<br>' + this.tableToText(body) + '<br>');
+        }
+
+        return this.decodeEntities(this.inlineHtmlToText(text))
+            .split('\n')
+            .map(line => line.replace(/[ \t\u00A0]+/g, ' ').trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    // Each row becomes one line; a two-cell row is a label and its value
+    static tableToText(tableHtml) {
+        const rows = tableHtml.match(/<tr\b[^>]*>[\s\S]*?(?=<tr\b|$)/gi) || [tableHtml];
+
+        return rows.map(row => {
+            const cells = (row.match(/<t[dh]\b[^>]*>[\s\S]*?(?=<t[dh]\b|<\/tr|$)/gi) || [row])
+                .map(cell => this.inlineHtmlToText(cell).replace(/[ \t]+/g, ' ').trim())
+                .filter(cell => cell);
+
+            if (cells.length === 2 && !cells[0].includes('\n') && cells[0].length <= 40) {
+                // Keep the value on the label's line: "500 Main St<br>Seattle" -> "500 Main St, Seattle"
+                const value = cells[1].split('\n').map(line => line.trim()).filter(line => line)
+                    .reduce((joined, line) => !joined ? line : /[,;:]$/.test(joined) ? `${joined} ${line}` : `${joined}, ${line}`, '');
+                return `${cells[0].replace(/\s*:$/, '')}: ${value}`;
+            }
+            // Wide rows often alternate label/value cells: "Work Site:" "SEA124" "Device:" "V123"
+            if (cells.length > 2 && cells.length % 2 === 0 && cells.every((cell, i) => i % 2 === 1 || /:$/.test(cell))) {
+                const pairs = [];
+                for (let i = 0; i < cells.length; i += 2) {
+                    pairs.push(`${cells[i]} ${cells[i + 1]}`);
+                }
+                return pairs.join('\n');
+            }
+            return cells.join(cells.some(cell => cell.includes('\n')) ? '\n' : ' ');
+        }).filter(line => line).join('\n');
+    }
+
+    static inlineHtmlToText(html) {
+        return html
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<li\b[^>]*>/gi, '\n- ')
+            .replace(/<\/?(p|div|tr|table|ul|ol|li|h[1-6]|blockquote|pre|hr)\b[^>]*>/gi, '\n')
+            .replace(/<\/t[dh]>/gi, ' ')
+            .replace(/<[^>]+>/g, '')
+            .replace(/ *\n */g, '\n');
+    }
+
+    static decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+            }
+            const named = HTML_ENTITIES[entity.toLowerCase()];
+            return named !== undefined ? named : match;
+        });
+    }
+
     static parseHeaders(content) {
         const headers = {};
         const lines = content.split(/\r?\n/);
@@ -60,66 +1080,163 @@ class EmailParser {
     }
     
     static unfoldHeader(value) {
-        // Decode RFC 2047 encoded words
-        return value.replace(/=\?([^?]+)\?([BQ])\?([^?]+)\?=/gi, (match, charset, encoding, encoded) => {
+        // Raw 8-bit header text (common from Outlook) is UTF-8 when it validates as such
+        if (/[\x80-\xFF]/.test(value) && !/[^\x00-\xFF]/.test(value)) {
             try {
-                if (encoding.toUpperCase() === 'B') {
-                    return atob(encoded);
-                } else if (encoding.toUpperCase() === 'Q') {
-                    return encoded.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (m, hex) => 
-                        String.fromCharCode(parseInt(hex, 16))
-                    );
-                }
+                value = new TextDecoder('utf-8', { fatal: true }).decode(this.binaryStringToBytes(value));
             } catch (e) {
-                return encoded;
+                // Leave Latin-1 text as it is
             }
-            return match;
-        }).replace(/\s+/g, ' ').trim();
+        }
+
+        // Decode RFC 2047 encoded words; whitespace between adjacent words is not part of the text
+        return value
+            .replace(/(\?=)\s+(?==\?)/g, '$1')
+            .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (match, charset, encoding, encoded) => {
+                // charset may carry an RFC 2231 language suffix: UTF-8*en
+                const label = charset.split('*')[0];
+                const bytes = encoding.toUpperCase() === 'B'
+                    ? this.base64ToBytes(encoded)
+                    : this.quotedPrintableToBytes(encoded.replace(/_/g, ' '));
+                return this.decodeBytes(bytes, label);
+            }).replace(/\s+/g, ' ').trim();
     }
     
+    // Split an mbox export (Thunderbird, Outlook add-ins) into its messages on the "From " separator
+    // lines and undo the ">From " quoting. Binary input gives one Uint8Array per message for parseEml.
+    static splitMbox(content) {
+        const binary = typeof content !== 'string';
+        const text = binary ? this.bytesToBinaryString(new Uint8Array(content)) : content;
+
+        // A separator starts the file or follows a blank line and reads "From <sender> <asctime date>",
+        // so body lines such as "From the tech: ..." are left alone
+        return text.split(/(?<=^|\n\r?\n)From \S+ +[A-Z][a-z]{2} [A-Z][a-z]{2} +\d{1,2} \d{1,2}:\d{2}[^\n]*\n/)
+            .filter(message => message.trim())
+            .map(message => message.replace(/^>(>*From )/gm, '$1'))
+            .map(message => binary ? this.binaryStringToBytes(message) : message);
+    }
+
+    // The decoded subject and body that parseEml/parseMsg extract from, for testing other rules
+    // against the same text; fileType is 'eml' or 'msg'
+    static decodeText(content, fileType) {
+        if (fileType === 'msg') {
+            const message = MsgReader.read(content);
+            return { subject: message.subject, body: message.body.trim() ? message.body : this.htmlToText(message.html) };
+        }
+
+        const binary = typeof content !== 'string';
+        const message = this.parseMimeEntity(binary ? this.bytesToBinaryString(new Uint8Array(content)) : content, binary);
+        return { subject: message.headers['subject'] || '', body: this.findBodyText(message) };
+    }
+
     static parseMsg(arrayBuffer) {
         console.log('=== MSG PARSING DEBUG ===');
-        
-        // Convert to UTF-16 and UTF-8 strings
-        const utf8 = new TextDecoder('utf-8').decode(arrayBuffer);
-        const utf16 = new TextDecoder('utf-16le').decode(arrayBuffer);
-        
-        console.log('UTF-8 length:', utf8.length);
-        console.log('UTF-16 length:', utf16.length);
-        
-        // Try to find subject in both encodings
-        let subject = '';
-        
-        // Pattern 1: UTF-16 subject - stop at Thread-
-        let match = utf16.match(/Subject[\x00\s]*:([^\x00]*?)(?=Thread-|[\x00]{2,}|$)/i);
-        if (match && match[1]) {
-            subject = match[1].replace(/\x00/g, '').replace(/\s+/g, ' ').trim();
-            console.log('UTF-16 subject found:', subject);
-        }
-        
-        // Pattern 2: UTF-8 subject - stop at Thread-
-        if (!subject || subject.length < 20) {
-            match = utf8.match(/Subject:\s*([^\r\n\x00]*?)(?=Thread-|\r|\n|\x00|$)/i);
-            if (match && match[1]) {
-                subject = match[1].trim();
-                console.log('UTF-8 subject found:', subject);
-            }
-        }
-        
-        // Pattern 3: Look for the filename pattern in content
-        if (!subject || subject.length < 20) {
-            const filename = 'Service Call B-802641 - SEA124 - Alarm Active - P3 - Reader - P296563983-13';
-            if (utf8.includes('B-802641') || utf16.includes('B-802641')) {
-                subject = filename;
-                console.log('Using filename as subject:', subject);
-            }
+
+        const message = MsgReader.read(arrayBuffer);
+        console.log('MSG subject:', message.subject);
+        console.log('MSG body length:', message.body.length, 'HTML length:', message.html.length);
+
+        const body = message.body.trim() ? message.body : this.htmlToText(message.html);
+        const sender = message.senderEmail
+            ? (message.senderName ? `${message.senderName} <${message.senderEmail}>` : message.senderEmail)
+            : message.senderName;
+
+        // Messages that went over SMTP keep their original headers; otherwise match on the MAPI sender
+        const headers = message.transportHeaders ? this.parseHeaders(message.transportHeaders) : {};
+        if (!headers['from']) {
+            headers['from'] = sender;
         }
-        
-        console.log('Final MSG subject:', subject);
-        return this.extractData(subject, utf8 + utf16);
+        const selection = this.ruleRegistry.selectProfile(headers);
+        console.log('Parser profile:', selection.profile, '(' + selection.matchedOn + ')');
+
+        const data = this.extractData(message.subject, body, selection.profile);
+
+        return {
+            ...data,
+            ...this.deriveSchedule(message.sentDate, data.newestMessage),
+            parserProfileMatch: selection.matchedOn,
+            sender,
+            sentDate: message.sentDate ? message.sentDate.toISOString() : null,
+            messageId: this.normalizeMessageId(message.messageId || headers['message-id']),
+            contentHash: this.contentHash(message.senderEmail || headers['from'], message.sentDate, message.subject, body),
+            attachments: message.attachments
+                .filter(attachment => attachment.data)
+                .map(attachment => this.toAttachment(attachment.filename, attachment.mimeType, attachment.data))
+        };
     }
     
-    static extractData(subject, body) {
+    // Job schedule defaults from when the call was dispatched (the Date header) or an
+    // explicit "Scheduled:" line, in the user's local timezone. "Requested by:" lines
+    // that hold a date set the due time; otherwise it is the default response window
+    // from the job's start, so a job booked for next week is not overdue on arrival.
+    static deriveSchedule(sentDate, body = '') {
+        const scheduledAt = this.parseDateLine(body, /^[ \t]*Scheduled(?: (?:for|date|time))?:[ \t]*([^\r\n]+)/im);
+        const requestedBy = this.parseDateLine(body, /^[ \t]*(?:Requested by|Due(?: by| date)?|Respond by):[ \t]*([^\r\n]+)/im);
+        const dispatchedAt = sentDate || null;
+
+        const start = scheduledAt || dispatchedAt;
+        if (!start) {
+            return {
+                dispatchedAt: null, scheduledAt: null,
+                dueAt: requestedBy ? requestedBy.toISOString() : null, dueAtSource: requestedBy ? 'email' : null,
+                jobDate: '', jobStartTime: '', jobEndTime: ''
+            };
+        }
+
+        // Keep the usual 17:00 end of day unless the job starts after it
+        const startTime = this.toLocalTimeString(start);
+        const oneHourLater = new Date(start.getTime() + 60 * 60 * 1000);
+        const endTime = startTime < '17:00' ? '17:00'
+            : this.toLocalDateString(oneHourLater) === this.toLocalDateString(start) ? this.toLocalTimeString(oneHourLater) : '23:59';
+
+        const dueAt = requestedBy || new Date(start.getTime() + DEFAULT_RESPONSE_HOURS * 60 * 60 * 1000);
+
+        return {
+            dispatchedAt: dispatchedAt ? dispatchedAt.toISOString() : null,
+            scheduledAt: scheduledAt ? scheduledAt.toISOString() : null,
+            dueAt: dueAt.toISOString(),
+            dueAtSource: requestedBy ? 'email' : 'default',
+            jobDate: this.toLocalDateString(start),
+            jobStartTime: startTime,
+            jobEndTime: endTime
+        };
+    }
+
+    // "Priority: P2", "Priority: 2" or "Priority: High" on its own line
+    static extractPriority(body) {
+        const match = (body || '').match(/^[ \t]*Priority:[ \t]*(P?[1-5]|[A-Za-z]+)\b/im);
+        if (!match) return '';
+
+        const value = match[1].toUpperCase();
+        if (/^P?[1-5]$/.test(value)) return value.startsWith('P') ? value : `P${value}`;
+        return PRIORITY_WORDS[value.toLowerCase()] || '';
+    }
+
+    // Date written on a labelled body line, or null when the value is not a date (e.g. a name)
+    static parseDateLine(body, pattern) {
+        const match = (body || '').match(pattern);
+        if (!match || !/\d/.test(match[1])) return null;
+
+        const text = match[1]
+            .replace(/\s+at\s+/i, ' ')
+            .replace(/\b(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?(?=\s|$)/i,
+                (match, hour, minute, half) => `${hour}:${minute || '00'} ${half.toUpperCase()}M`)
+            .trim();
+        const date = new Date(text);
+        return isNaN(date) ? null : date;
+    }
+
+    static toLocalDateString(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    static toLocalTimeString(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    static extractData(subject, body, profileName = null) {
         console.log('=== EXTRACT DATA DEBUG ===');
         console.log('Input subject:', subject);
         console.log('Subject length:', subject.length);
@@ -127,88 +1244,721 @@ class EmailParser {
         const jobName = subject.replace(/^Service Call:\s*/i, '').replace(/\s+/g, ' ').trim();
         console.log('Final jobName:', jobName);
         console.log('JobName length:', jobName.length);
+
+        const profile = this.ruleRegistry.getProfile(profileName);
+        console.log('Extraction profile:', profile.name);
+
+        // Every value carries where it came from so bad extractions can be traced
+        const provenance = {
+            jobName: {
+                value: jobName, rule: 'subject', source: 'subject',
+                start: 0, end: subject.length, confidence: jobName ? 0.9 : 0
+            }
+        };
+        // Replies and forwards quote older messages; extract from the newest one and only
+        // fall back to quoted text for fields the newest message does not mention
+        const segments = this.splitThread(body);
+        const newest = segments[0].text;
+        console.log('Thread segments:', segments.length);
+
+        const fieldNames = [...new Set([...CORE_FIELDS, ...Object.keys(profile.fields)])];
+        for (const field of fieldNames) {
+            provenance[field] = this.matchField(newest, field, profile);
+            for (let i = 1; i < segments.length && !provenance[field].value; i++) {
+                provenance[field] = this.matchInOlderSegment(segments[i], i, field, profile);
+            }
+        }
+
+        const subjectParts = this.parseSubject(subject);
+        console.log('Subject parts:', subjectParts);
+        Object.assign(provenance, this.subjectProvenance(subject, subjectParts));
+
+        const validation = this.validateSubjectAgainstBody(subjectParts, {
+            building: provenance.building.value,
+            deviceName: provenance.deviceName.value,
+            body
+        });
+        console.log('Title validation:', validation.status, validation.flags);
+
+        // A subject value the body contradicts is not trustworthy
+        const flaggedFields = { site: 'siteCode', device: 'deviceId', ticket: 'serviceCallId' };
+        for (const [flagKey, field] of Object.entries(flaggedFields)) {
+            if (validation.flags[flagKey] && validation.flags[flagKey].severity === 'error') {
+                provenance[field].confidence *= 0.5;
+            }
+        }
+
+        const devices = this.collectDevices(newest, profile, provenance);
+        console.log('Devices found:', devices.map(device => device.value));
+
+        const relatedTickets = this.extractRelatedTickets(body, [
+            provenance.jobNumber.value,
+            subjectParts.serviceCallId,
+            subjectParts.deviceId,
+            // Labelled and subject devices; bare device IDs found in the text may be other devices
+            ...devices.filter(device => device.rule !== 'device_id_pattern').map(device => device.value)
+        ]);
+        console.log('Related tickets:', relatedTickets);
+
+        const classification = this.classifyEmail(subject, newest, segments.length > 1, subjectParts);
+        console.log('Email type:', classification.type, classification.reasons);
         
-        const jobNumber = this.extractJobNumber(body);
-        const deviceName = this.extractDeviceName(body);
-        const problemDescription = this.extractProblemDescription(body);
-        const building = this.extractBuilding(body);
-        const address = this.extractAddress(body);
-        
-        return { jobNumber, jobName, deviceName, problemDescription, building, address };
+        return {
+            jobNumber: provenance.jobNumber.value,
+            jobName,
+            deviceName: provenance.deviceName.value,
+            devices,
+            relatedTickets,
+            problemDescription: provenance.problemDescription.value,
+            building: provenance.building.value,
+            address: provenance.address.value,
+            addressParts: this.parseAddress(provenance.address.value),
+            customFields: Object.fromEntries(
+                Object.keys(profile.fields)
+                    .filter(field => !CORE_FIELDS.includes(field))
+                    .map(field => [field, provenance[field].value])
+            ),
+            parserProfile: profile.name,
+            serviceCallId: subjectParts.serviceCallId,
+            siteCode: subjectParts.siteCode,
+            alarmType: subjectParts.alarmType,
+            // Replies keep the original subject, so "priority raised to P1" in the newest message wins
+            priority: classification.priority || subjectParts.priority || this.extractPriority(newest),
+            deviceClass: subjectParts.deviceClass,
+            deviceId: subjectParts.deviceId,
+            deviceSuffix: subjectParts.deviceSuffix,
+            provenance,
+            lowConfidenceFields: Object.keys(provenance).filter(field =>
+                provenance[field].value && provenance[field].confidence < LOW_CONFIDENCE_THRESHOLD
+            ),
+            emailType: classification.type,
+            emailTypeReasons: classification.reasons,
+            newestMessage: newest.trim(),
+            threadHistory: segments.slice(1).map(segment => ({
+                from: segment.from,
+                date: segment.date,
+                subject: segment.subject,
+                text: segment.text.trim()
+            })),
+            email_parse_title_validation_flag: validation.flags,
+            email_parse_title_validation_status: validation.status
+        };
+    }
+
+    // Decide whether an email opens a new call or changes an existing one. Body keywords
+    // only count for replies or an explicit Status: line, because new-call descriptions
+    // often contain words like "closed" ("door closed alarm").
+    static classifyEmail(subject, newestText, hasQuotedHistory = false, subjectParts = null) {
+        const isReply = /^\s*(?:RE|AW)\s*:/i.test(subject) || hasQuotedHistory;
+        const statusLine = (newestText.match(/^[ \t]*(?:Ticket |Call )?Status:[ \t]*([^\r\n]+)/im) || [])[1] || '';
+
+        // Only the free text of the subject counts: an alarm type like "Emergency Exit Alarm" is not an escalation
+        let subjectText = subject.replace(/^\s*(?:(?:RE|FWD?|AW|WG)\s*:\s*)+/i, '').replace(/\s+/g, ' ');
+        if (subjectParts) {
+            [subjectParts.alarmType, subjectParts.priority].filter(Boolean).forEach(segment => {
+                const index = subjectText.toLowerCase().indexOf(segment.toLowerCase());
+                if (index !== -1) {
+                    subjectText = subjectText.slice(0, index) + subjectText.slice(index + segment.length);
+                }
+            });
+        }
+
+        const sources = [['subject', subjectText], ['status', statusLine]];
+        if (isReply) {
+            sources.push(['body', newestText]);
+        }
+
+        const reasons = [];
+        const found = {};
+        for (const [type, pattern] of Object.entries(EMAIL_TYPE_KEYWORDS)) {
+            for (const [source, text] of sources) {
+                const match = text.match(pattern);
+                if (match) {
+                    found[type] = true;
+                    reasons.push(`${source}: "${match[0]}"`);
+                    break;
+                }
+            }
+        }
+
+        const priorityMatch = isReply ? newestText.match(/\bpriority\b[^\r\n]{0,30}?\b(P[1-5])\b/i) : null;
+        if (priorityMatch) {
+            reasons.push(`body: "${priorityMatch[0]}"`);
+        }
+        if (isReply && reasons.length === 0) {
+            reasons.push('reply to an earlier message');
+        }
+
+        const type = found.closure ? 'closure'
+            : found.escalation ? 'escalation'
+            : (found.update || isReply || priorityMatch) ? 'update'
+            : 'new';
+
+        return {
+            type,
+            reasons,
+            priority: priorityMatch ? priorityMatch[1].toUpperCase() : '',
+            reassigned: !!found.update && /reassign/i.test(reasons.join(' '))
+        };
+    }
+
+    // Split a reply/forward body into its messages, newest first. Each segment keeps its
+    // offsets in the body; quoted (">") segments point at the whole quoted block.
+    static splitThread(body) {
+        const segments = [];
+        const lines = body.split('\n');
+        let current = { start: 0, end: 0, header: '', lines: [], quoted: false };
+        let offset = 0;
+
+        const hasText = () => current.lines.some(line => line.trim());
+        const close = () => {
+            if (hasText() || current.header) {
+                segments.push(current);
+            }
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const lineStart = offset;
+            offset += line.length + 1;
+
+            const isQuote = /^[ \t]*>/.test(line);
+            // "-----Original Message-----" is usually followed by a From:/Sent: block; keep them together
+            const marker = !isQuote && !(current.header && !hasText()) && this.threadMarkerLength(lines, i);
+
+            if (marker) {
+                close();
+                const header = lines.slice(i, i + marker).map(part => part.trim()).join(' ');
+                for (let j = 1; j < marker; j++) offset += lines[i + j].length + 1;
+                i += marker - 1;
+                current = { start: offset, end: offset, header, lines: [], quoted: false };
+                continue;
+            }
+
+            if (isQuote !== current.quoted && line.trim()) {
+                // A quote block right under an "On ... wrote:" line belongs to that message
+                if (!(isQuote && current.header && !hasText())) {
+                    close();
+                    current = { start: lineStart, end: lineStart, header: '', lines: [], quoted: isQuote };
+                }
+                current.quoted = isQuote;
+            }
+
+            current.lines.push(current.quoted ? line.replace(/^[ \t]*>[ \t]?/, '') : line);
+            current.end = lineStart + line.length;
+        }
+        close();
+
+        if (segments.length === 0) {
+            return [{ start: 0, end: body.length, textStart: 0, header: '', text: body, quoted: false, from: '', date: '', subject: '' }];
+        }
+
+        const result = [];
+        for (const segment of segments) {
+            const text = segment.quoted ? segment.lines.join('\n') : body.substring(segment.start, segment.end);
+            const nested = segment.quoted ? this.splitThread(text) : null;
+
+            if (nested) {
+                // Quotes inside quotes are older messages again
+                nested.forEach((part, index) => result.push(this.describeSegment({
+                    ...part,
+                    header: index === 0 && segment.header ? segment.header : part.header,
+                    start: segment.start,
+                    end: segment.end,
+                    quoted: true
+                })));
+            } else {
+                result.push(this.describeSegment({ ...segment, text }));
+            }
+        }
+        return result;
+    }
+
+    // Number of lines forming a reply/forward separator at line i (0 = not a separator)
+    static threadMarkerLength(lines, i) {
+        const line = lines[i].trim();
+        const next = lines.slice(i + 1).find(candidate => candidate.trim()) || '';
+
+        if (/^-{2,}\s*(?:Original Message|Forwarded message)\s*-{2,}$/i.test(line)) return 1;
+        if (/^Begin forwarded message:$/i.test(line)) return 1;
+        if (/^On\s.+\swrote:$/i.test(line)) return 1;
+        // Long "On ..., Name <address>" lines get wrapped before "wrote:"
+        if (/^On\s.+/i.test(line) && i + 1 < lines.length && /^\S.*\swrote:$|^wrote:$/i.test(lines[i + 1].trim())
+            && line.length + lines[i + 1].trim().length < 200) return 2;
+        // Outlook puts a rule and/or a From:/Sent: block above the quoted message
+        if (/^_{10,}$/.test(line) && /^From:/i.test(next.trim())) return 1;
+        if (/^From:\s.+/i.test(line) && i > 0 && /^(?:Sent|Date):\s/i.test(next.trim())) return 1;
+        return 0;
+    }
+
+    // Pull the sender/date/subject of an older message out of its separator and header lines
+    static describeSegment(segment) {
+        const described = { ...segment, textStart: segment.start, from: '', date: '', subject: '' };
+        delete described.lines;
+
+        const onWrote = segment.header.match(/^On\s+(.+\d{1,2}:\d{2}(?:\s*[AP]M)?)\s*,?\s*(.*?)\s*wrote:$/i)
+            || segment.header.match(/^On\s+(.+?\d{4})\s*,?\s*(.*?)\s*wrote:$/i);
+        if (onWrote) {
+            described.date = onWrote[1];
+            described.from = onWrote[2];
+        }
+
+        const fromMarker = segment.header.match(/^From:\s*(.+)$/i);
+        if (fromMarker) {
+            described.from = fromMarker[1];
+        }
+
+        // Leading "Sent:/To:/Subject:" style lines of a quoted or forwarded message
+        const headerLines = described.text.split('\n');
+        let consumed = 0;
+        for (const line of headerLines) {
+            const header = line.trim().match(/^(From|Sent|Date|To|Cc|Subject):\s*(.*)$/i);
+            if (!header) {
+                if (line.trim() || consumed > 0) break;
+                consumed++;
+                continue;
+            }
+            const name = header[1].toLowerCase();
+            if (name === 'from') described.from = header[2];
+            if (name === 'sent' || name === 'date') described.date = header[2];
+            if (name === 'subject') described.subject = header[2];
+            consumed++;
+        }
+        if (consumed > 0 && headerLines.slice(0, consumed).some(line => line.trim())) {
+            const skipped = headerLines.slice(0, consumed);
+            described.text = headerLines.slice(consumed).join('\n');
+            described.textStart += skipped.reduce((length, line) => length + line.length + 1, 0);
+        }
+
+        return described;
+    }
+
+    // Match a field in a quoted/older message; values found there are less trustworthy
+    static matchInOlderSegment(segment, index, field, profile) {
+        const match = this.matchField(segment.text, field, profile);
+        if (!match.value) return match;
+
+        return {
+            ...match,
+            start: segment.quoted ? segment.start : segment.textStart + match.start,
+            end: segment.quoted ? segment.end : segment.textStart + match.end,
+            confidence: match.confidence * 0.6,
+            segment: index
+        };
+    }
+
+    static emptyMatch(source = 'body') {
+        return { value: '', rule: null, source, start: -1, end: -1, confidence: 0 };
+    }
+
+    // Run a profile's rules for one field
+    static matchField(content, field, profile = null) {
+        const rules = (profile || this.ruleRegistry.getProfile()).fields[field];
+        return rules ? this.matchRules(content, rules) : this.emptyMatch();
+    }
+
+    // Try each rule in order; report the first hit with the offsets of its captured value
+    static matchRules(content, rules) {
+        for (const rule of rules) {
+            const match = rule.pattern.exec(content);
+            if (!match || match[1] === undefined) continue;
+            return this.buildMatch(content, rule, match);
+        }
+        return this.emptyMatch();
+    }
+
+    // Every hit of every rule, in document order, for fields that can repeat
+    static matchAllRules(content, rules) {
+        const hits = [];
+        for (const rule of rules) {
+            const pattern = new RegExp(rule.pattern.source, rule.pattern.flags + 'g');
+            for (const match of content.matchAll(pattern)) {
+                if (match[1] === undefined) continue;
+                const hit = this.buildMatch(content, rule, match);
+                if (hit.value && !hits.some(other => hit.start < other.end && other.start < hit.end)) {
+                    hits.push(hit);
+                }
+            }
+        }
+        return hits.sort((a, b) => a.start - b.start);
+    }
+
+    // Turn a rule hit into a provenance record with the offsets of the captured value
+    static buildMatch(content, rule, match) {
+        const raw = match[1];
+        let value = raw.trim();
+        const start = match.indices[1][0] + (raw.length - raw.trimStart().length);
+        let end = start + value.length;
+
+        if (rule.multiline) {
+            const continuation = this.collectContinuation(content, match.indices[1][1], rule.until);
+            if (continuation.text) {
+                value = `${value} ${continuation.text}`.trim();
+                end = continuation.end;
+            }
+        }
+
+        return {
+            value: this.applyTransform(value, rule.transform),
+            rule: rule.name,
+            source: 'body',
+            start,
+            end,
+            confidence: value ? rule.confidence : 0.3
+        };
+    }
+
+    // Every service call (B-######) and device (V##########, P#########) referenced anywhere in the
+    // body, quoted history included, in order of appearance. The email's own ticket numbers and
+    // devices are left out, devices also without their "-NN" suffix (P296563983-13 → P296563983).
+    static extractRelatedTickets(body, ownReferences = []) {
+        const own = new Set();
+        ownReferences.filter(Boolean).forEach(reference => {
+            own.add(reference.toUpperCase());
+            own.add(reference.toUpperCase().replace(/-\d+$/, ''));
+        });
+
+        const references = (body || '').match(RELATED_TICKET_PATTERN) || [];
+        return [...new Set(references.map(reference => reference.toUpperCase()))]
+            .filter(reference => !own.has(reference));
+    }
+
+    // All devices an email refers to: every labelled device line, the subject device,
+    // and bare V/P device IDs in the body. The first entry is the primary device.
+    static collectDevices(body, profile, provenance) {
+        const devices = [];
+        // Same device: equal once normalized, or the same ID with and without its "-NN" suffix
+        const normalize = value => value.toUpperCase().replace(/\s+/g, ' ').trim();
+        const add = (candidate) => {
+            const key = normalize(candidate.value);
+            const known = devices.some(device => {
+                const other = normalize(device.value);
+                return other === key || other.replace(/-\d+$/, '') === key || key.replace(/-\d+$/, '') === other;
+            });
+            if (candidate.value && !known) {
+                devices.push(candidate);
+            }
+        };
+
+        if (provenance.deviceName.value) {
+            add(provenance.deviceName);
+        }
+        this.matchAllRules(body, profile.fields.deviceName || []).forEach(add);
+
+        if (provenance.deviceId.value) {
+            const suffix = provenance.deviceSuffix.value;
+            add({
+                ...provenance.deviceId,
+                value: suffix ? `${provenance.deviceId.value}-${suffix}` : provenance.deviceId.value,
+                end: suffix ? provenance.deviceSuffix.end : provenance.deviceId.end
+            });
+        }
+
+        // SIM-T ticket numbers share the V/P prefix, so skip anything on a ticket line
+        for (const match of body.matchAll(/\b[VP]\d{9,}(?:-\d+)?\b/gi)) {
+            const lineStart = body.lastIndexOf('\n', match.index) + 1;
+            const lineEnd = body.indexOf('\n', match.index);
+            const line = body.substring(lineStart, lineEnd === -1 ? body.length : lineEnd);
+            if (/ticket/i.test(line) || match[0].toUpperCase() === provenance.jobNumber.value.toUpperCase()) continue;
+
+            add({
+                value: match[0].toUpperCase(), rule: 'device_id_pattern', source: 'body',
+                start: match.index, end: match.index + match[0].length, confidence: 0.6
+            });
+        }
+
+        return devices;
+    }
+
+    // Append the lines following a match until one matches the stop pattern
+    static collectContinuation(content, fromIndex, until) {
+        const lineEnd = content.indexOf('\n', fromIndex);
+        if (lineEnd === -1) return { text: '', end: -1 };
+
+        const parts = [];
+        let end = -1;
+        let offset = lineEnd + 1;
+
+        for (const line of content.substring(offset).split('\n')) {
+            const trimmedLine = line.trim();
+            if (until && until.test(trimmedLine)) break;
+            if (trimmedLine) {
+                parts.push(trimmedLine);
+                end = offset + line.trimEnd().length;
+            }
+            offset += line.length + 1;
+        }
+
+        return { text: parts.join(' '), end };
+    }
+
+    static applyTransform(value, transform) {
+        switch (transform) {
+            case 'upper': return value.toUpperCase();
+            case 'lower': return value.toLowerCase();
+            case 'collapse': return value.replace(/\s+/g, ' ').trim();
+            case 'qp':
+                return value
+                    .replace(/=\r?\n/g, '')  // Remove soft line breaks
+                    .replace(/=\s/g, ' ')    // Replace = followed by space
+                    .replace(/=$/g, '')      // Remove = at end of lines
+                    // Runs of escapes are one multi-byte character, e.g. =C3=A9
+                    .replace(/(?:=[0-9A-F]{2})+/g, (match) => this.decodeBytes(this.quotedPrintableToBytes(match)))
+                    .trim();
+            default: return value;
+        }
+    }
+
+    static subjectProvenance(subject, subjectParts) {
+        const provenance = {};
+        let searchFrom = 0;
+
+        for (const field of ['serviceCallId', 'siteCode', 'alarmType', 'priority', 'deviceClass', 'deviceId', 'deviceSuffix']) {
+            const value = subjectParts[field];
+            const start = value ? subject.toUpperCase().indexOf(value.toUpperCase(), searchFrom) : -1;
+            if (start === -1) {
+                provenance[field] = this.emptyMatch('subject');
+                continue;
+            }
+            searchFrom = start + value.length;
+            provenance[field] = {
+                value, rule: 'service_call_subject', source: 'subject',
+                start, end: start + value.length, confidence: 0.85
+            };
+        }
+
+        return provenance;
     }
     
-    static extractAddress(content) {
-        console.log('=== ADDRESS EXTRACTION DEBUG ===');
-        
-        let match = content.match(/Work Site Address:\s*([^\r\n]+)/i);
-        if (!match) {
-            match = content.match(/Site Address:\s*([^\r\n]+)/i);
+    // Subjects are typed by dispatchers and often carry the wrong building, so every
+    // subject-derived value is checked against what the body says
+    static validateSubjectAgainstBody(subjectParts, bodyValues) {
+        const flags = {};
+        let compared = false;
+
+        const addFlag = (field, severity, message, subjectValue, bodyValue) => {
+            flags[field] = { severity, message, subject_value: subjectValue, body_value: bodyValue };
+        };
+        const containsToken = (haystack, token) =>
+            new RegExp(`(^|[^A-Z0-9])${token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^A-Z0-9])`, 'i').test(haystack);
+
+        // Site code vs "Work Site:"
+        if (subjectParts.siteCode) {
+            if (!bodyValues.building) {
+                addFlag('site', 'warning', `Site ${subjectParts.siteCode} from subject could not be confirmed: body has no Work Site`,
+                    subjectParts.siteCode, '');
+            } else {
+                compared = true;
+                if (!containsToken(bodyValues.building, subjectParts.siteCode)) {
+                    addFlag('site', 'error', `Subject site ${subjectParts.siteCode} does not match body Work Site "${bodyValues.building}"`,
+                        subjectParts.siteCode, bodyValues.building);
+                }
+            }
         }
-        if (!match) {
-            match = content.match(/Address:\s*([^\r\n]+)/i);
+
+        // Device ID vs "Device Name:"
+        if (subjectParts.deviceId) {
+            const subjectDevice = subjectParts.deviceSuffix
+                ? `${subjectParts.deviceId}-${subjectParts.deviceSuffix}`
+                : subjectParts.deviceId;
+            if (!bodyValues.deviceName) {
+                addFlag('device', 'warning', `Device ${subjectDevice} from subject could not be confirmed: body has no Device Name`,
+                    subjectDevice, '');
+            } else {
+                compared = true;
+                if (!containsToken(bodyValues.deviceName, subjectParts.deviceId)) {
+                    addFlag('device', 'error', `Subject device ${subjectDevice} does not match body Device Name "${bodyValues.deviceName}"`,
+                        subjectDevice, bodyValues.deviceName);
+                } else if (subjectParts.deviceSuffix && !containsToken(bodyValues.deviceName, subjectDevice)) {
+                    addFlag('device', 'warning', `Subject device suffix -${subjectParts.deviceSuffix} differs from body Device Name "${bodyValues.deviceName}"`,
+                        subjectDevice, bodyValues.deviceName);
+                }
+            }
         }
-        
-        const result = match ? match[1].trim() : '';
+
+        // Service call number vs any B-number quoted in the body
+        if (subjectParts.serviceCallId) {
+            const bodyCalls = [...new Set((bodyValues.body.match(/\bB-\d{4,}\b/gi) || []).map(id => id.toUpperCase()))];
+            if (bodyCalls.length > 0) {
+                compared = true;
+                if (!bodyCalls.includes(subjectParts.serviceCallId)) {
+                    addFlag('ticket', 'error', `Subject service call ${subjectParts.serviceCallId} is not referenced in the body (found ${bodyCalls.join(', ')})`,
+                        subjectParts.serviceCallId, bodyCalls.join(', '));
+                }
+            }
+        }
+
+        const severities = Object.values(flags).map(flag => flag.severity);
+        let status = 'unknown';
+        if (severities.includes('error')) status = 'error';
+        else if (severities.includes('warning')) status = 'warning';
+        else if (compared) status = 'valid';
+
+        return { flags, status };
+    }
+
+    // Decompose "Service Call B-802641 - SEA124 - Alarm Active - P3 - Reader - P296563983-13"
+    static parseSubject(subject) {
+        const parts = {
+            serviceCallId: '',
+            siteCode: '',
+            alarmType: '',
+            priority: '',
+            deviceClass: '',
+            deviceId: '',
+            deviceSuffix: ''
+        };
+        if (!subject) return parts;
+
+        const cleaned = subject
+            .replace(/^\s*((re|fw|fwd)\s*:\s*)+/i, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        const match = cleaned.match(/^(?:Service Call:?\s*)?(B-\d+)\s*-\s*(.+)$/i);
+        if (!match) return parts;
+
+        parts.serviceCallId = match[1].toUpperCase();
+
+        // Segments are separated by " - "; the device suffix uses a bare hyphen
+        const segments = match[2].split(/\s+-\s+/).map(segment => segment.trim()).filter(Boolean);
+
+        const deviceMatch = segments.length > 1 && segments[segments.length - 1].match(/^([VP]\d{6,})(?:-(\d+))?$/i);
+        if (deviceMatch) {
+            parts.deviceId = deviceMatch[1].toUpperCase();
+            parts.deviceSuffix = deviceMatch[2] || '';
+            segments.pop();
+        }
+
+        parts.siteCode = (segments.shift() || '').toUpperCase();
+
+        const priorityIndex = segments.findIndex(segment => /^P\d$/i.test(segment));
+        if (priorityIndex !== -1) {
+            parts.priority = segments[priorityIndex].toUpperCase();
+            parts.alarmType = segments.slice(0, priorityIndex).join(' - ');
+            parts.deviceClass = segments.slice(priorityIndex + 1).join(' - ');
+        } else {
+            parts.alarmType = segments.shift() || '';
+            parts.deviceClass = segments.join(' - ');
+        }
+
+        return parts;
+    }
+    
+    // Split "123 main street, suite 200\nSeattle, Washington 98101" into normalized parts:
+    // { street: '123 Main St Ste 200', city: 'Seattle', state: 'WA', postalCode: '98101', formatted }
+    static parseAddress(raw) {
+        let rest = (raw || '')
+            .replace(/\s*[\r\n]+\s*/g, ', ')
+            .replace(/\s+/g, ' ')
+            .replace(/(?:\s*,)+/g, ',')
+            .replace(/^[\s,]+|[\s,.]+$/g, '')
+            .replace(/,?\s*(?:USA|U\.S\.A|United States)$/i, '');
+
+        let postalCode = '';
+        const postal = rest.match(/[\s,]*\b(\d{5})(?:[- ](\d{4}))?$/);
+        if (postal) {
+            postalCode = postal[2] ? `${postal[1]}-${postal[2]}` : postal[1];
+            rest = rest.slice(0, postal.index);
+        }
+
+        let state = '';
+        const stateNames = Object.keys(US_STATES).sort((a, b) => b.length - a.length).join('|');
+        const stateMatch = rest.match(new RegExp(`[\\s,]+(${stateNames}|[A-Za-z]{2})\\.?$`, 'i'));
+        if (stateMatch) {
+            const value = stateMatch[1].toLowerCase();
+            state = US_STATES[value] || (Object.values(US_STATES).includes(value.toUpperCase()) ? value.toUpperCase() : '');
+            // Without a ZIP, a trailing "Ct" or "NE" ends the street rather than naming Connecticut or Nebraska
+            const streetWord = this.normalizeStreet(stateMatch[1]);
+            if (!postalCode && (STREET_SUFFIXES.includes(streetWord) || STREET_DIRECTIONS.includes(streetWord))) state = '';
+            if (state) rest = rest.slice(0, stateMatch.index);
+        }
+
+        // "street, city" unless the last part is a unit ("123 Main St, Suite 200"); without a comma,
+        // the words between the street and the state are the city
+        let street = rest;
+        let city = '';
+        const comma = rest.lastIndexOf(',');
+        if (comma !== -1) {
+            const last = rest.slice(comma + 1).trim();
+            if (!/\d|^#/.test(last) && !STREET_UNITS.includes(this.normalizeStreet(last).split(' ')[0])) {
+                street = rest.slice(0, comma);
+                city = last;
+            }
+        } else if (state || postalCode) {
+            const words = rest.trim().split(/\s+/);
+            const cityStart = this.findCityStart(this.normalizeStreet(rest).split(' '));
+            if (cityStart !== -1) {
+                street = words.slice(0, cityStart).join(' ');
+                city = words.slice(cityStart).join(' ');
+            }
+        }
+
+        street = this.normalizeStreet(street.replace(/,/g, ' '));
+        city = city.trim().toLowerCase().replace(/(^|[\s'-])([a-z])/g, (match, before, letter) => before + letter.toUpperCase());
+
+        const formatted = [street, city, [state, postalCode].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+        return { street, city, state, postalCode, formatted };
+    }
+
+    // Index of the first city word in normalized "street city" words, or -1. The street ends at its
+    // last suffix ("St", "Ave") plus any direction or unit after it; "1 Broadway" has no suffix, so a
+    // numbered street is taken to be the number and one name word.
+    static findCityStart(words) {
+        let end = words.map(word => STREET_SUFFIXES.includes(word)).lastIndexOf(true);
+        if (end === -1 && /^\d/.test(words[0])) end = 1;
+        if (end < 1) return -1;
+
+        let next = end + 1;
+        while (next < words.length) {
+            if (STREET_DIRECTIONS.includes(words[next])) next++;
+            else if (STREET_UNITS.includes(words[next]) && next + 1 < words.length) next += 2;
+            else break;
+        }
+        return next < words.length ? next : -1;
+    }
+
+    // Title-case street words and apply the USPS abbreviations; ordinals stay "5th", units "12A"
+    static normalizeStreet(street) {
+        return street.split(/\s+/).filter(Boolean).map(word => {
+            const bare = word.replace(/\.$/, '').replace(/\./g, '').toLowerCase();
+            if (/^\d+(?:st|nd|rd|th)$/.test(bare)) return bare;
+            if (/\d/.test(word)) return word.toUpperCase();
+            if (ADDRESS_ABBREVIATIONS[bare]) return ADDRESS_ABBREVIATIONS[bare];
+            return bare.replace(/(^|['-])([a-z])/g, (match, before, letter) => before + letter.toUpperCase());
+        }).join(' ');
+    }
+
+    static extractAddress(content) {
+        console.log('=== ADDRESS EXTRACTION DEBUG ===');
+        const result = this.matchField(content, 'address').value;
         console.log('Address extracted:', result);
         return result;
     }
     
     static extractBuilding(content) {
         console.log('=== BUILDING EXTRACTION DEBUG ===');
-        
-        let match = content.match(/Work Site:\s*([^\r\n]+)/i);
-        if (!match) {
-            match = content.match(/WorkSite:\s*([^\r\n]+)/i);
-        }
-        if (!match) {
-            match = content.match(/Site:\s*([^\r\n]+)/i);
-        }
-        
-        const result = match ? match[1].trim() : '';
+        const result = this.matchField(content, 'building').value;
         console.log('Building extracted:', result);
         return result;
     }
     
     static extractJobNumber(content) {
-        const match = content.match(/SIM-T Ticket:\s*([VP]\d+)/i);
-        return match ? match[1].toUpperCase() : '';
+        return this.matchField(content, 'jobNumber').value;
     }
     
     static extractDeviceName(content) {
-        const match = content.match(/Device Name:\s*([^\r\n]+)/i);
-        return match ? match[1].trim() : '';
+        return this.matchField(content, 'deviceName').value;
     }
     
     static extractProblemDescription(content) {
-        const lines = content.split('\n');
-        let description = '';
-        let capturing = false;
-        
-        for (let line of lines) {
-            const trimmedLine = line.trim();
-            if (trimmedLine.startsWith('Problem Description:')) {
-                description = trimmedLine.substring(20).trim();
-                capturing = true;
-            } else if (capturing) {
-                if (trimmedLine.match(/^[-=_\*]{2,}/) || trimmedLine.includes('---') || trimmedLine.includes('___')) {
-                    break;
-                }
-                if (trimmedLine) {
-                    description += ' ' + trimmedLine;
-                }
-            }
-        }
-        
-        // Clean up quoted-printable encoding
-        return description
-            .replace(/=\r?\n/g, '')  // Remove soft line breaks
-            .replace(/=\s/g, ' ')    // Replace = followed by space
-            .replace(/=$/g, '')      // Remove = at end of lines
-            .replace(/=[0-9A-F]{2}/g, (match) => {
-                // Decode hex values
-                const hex = match.substring(1);
-                return String.fromCharCode(parseInt(hex, 16));
-            })
-            .trim();
+        return this.matchField(content, 'problemDescription').value;
     }
+}
+
+EmailParser.ruleRegistry = EmailRuleRegistry.withDefaults();
+
+// CommonJS export for the Node CLI (emailParserCli.js); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EmailParser, EmailRuleRegistry, MsgReader, DEFAULT_RULE_PROFILES };
 }
\ No newline at end of file
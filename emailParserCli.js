@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+// Email Parser CLI 📧
+// Batch-parses a directory of .eml/.msg/.mbox files with the same EmailParser rules and
+// DataMappingEngine CSV layout as the Work Management System, for nightly checks.
+//
+//   node emailParserCli.js <directory> [--format json|csv] [--out file] [--rules rules.json] [--verbose]
+//
+// Exit codes: 0 all emails parsed and validated, 1 validation failures, 2 usage, read or rules file errors
+
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = 'Usage: node emailParserCli.js <directory> [--format json|csv] [--out file] [--rules rules.json] [--verbose]';
+
+function parseArgs(argv) {
+    const options = { directory: null, format: 'json', out: null, rules: null, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--format') options.format = argv[++i];
+        else if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--rules') options.rules = argv[++i];
+        else if (arg === '--verbose') options.verbose = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else if (!options.directory) options.directory = arg;
+        else throw new Error(`Unexpected argument: ${arg}`);
+    }
+
+    if (!options.help && !options.directory) throw new Error('A directory is required');
+    if (!['json', 'csv'].includes(options.format)) throw new Error(`Unknown format: ${options.format}`);
+    return options;
+}
+
+// One { name, fileType, bytes } per email; .mbox files contribute one per message
+function readEmails(directory, EmailParser) {
+    const emails = [];
+    for (const fileName of fs.readdirSync(directory).sort()) {
+        const fileType = path.extname(fileName).slice(1).toLowerCase();
+        if (!['eml', 'msg', 'mbox'].includes(fileType)) continue;
+
+        const bytes = new Uint8Array(fs.readFileSync(path.join(directory, fileName)));
+        if (fileType === 'mbox') {
+            EmailParser.splitMbox(bytes).forEach((message, index) => {
+                emails.push({ name: `${fileName} #${index + 1}`, fileType: 'eml', bytes: message });
+            });
+        } else {
+            emails.push({ name: fileName, fileType, bytes });
+        }
+    }
+    return emails;
+}
+
+// Reasons an email fails the nightly check: subject/body conflicts or no ticket number at all
+function validationErrors(emailData) {
+    const errors = Object.values(emailData.email_parse_title_validation_flag || {})
+        .filter(flag => flag.severity === 'error')
+        .map(flag => flag.message);
+    if (!emailData.jobNumber && !emailData.serviceCallId) {
+        errors.push('No ticket number found');
+    }
+    return errors;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    // The parser logs its debugging to console.log; keep stdout for the output
+    const log = console.log;
+    console.log = options.verbose ? console.error : () => {};
+
+    const { EmailParser } = require('./emailParser.js');
+    const { DataMappingEngine, EXPORT_MAPPINGS } = require('./workManagementSystem_mappings.js');
+
+    if (options.rules) {
+        try {
+            const names = EmailParser.ruleRegistry.loadJson(fs.readFileSync(options.rules, 'utf8'));
+            console.error(`Loaded rule profiles: ${names.join(', ')}`);
+        } catch (error) {
+            console.error(`Cannot load rules from ${options.rules}: ${error.message}`);
+            console.log = log;
+            return 2;
+        }
+    }
+
+    let emails;
+    try {
+        emails = readEmails(options.directory, EmailParser);
+    } catch (error) {
+        console.error(`Cannot read ${options.directory}: ${error.message}`);
+        console.log = log;
+        return 2;
+    }
+
+    const results = [];
+    let failures = 0;
+    for (const email of emails) {
+        try {
+            const emailData = email.fileType === 'msg'
+                ? EmailParser.parseMsg(email.bytes.buffer)
+                : EmailParser.parseEml(email.bytes);
+            const job = DataMappingEngine.mapEmailToJobData(emailData);
+            // Blobs don't serialise; keep the attachment metadata
+            job.email_attachments = job.email_attachments.map(({ filename, mimeType, size }) => ({ filename, mimeType, size }));
+
+            const errors = validationErrors(emailData);
+            if (errors.length > 0) failures++;
+            results.push({ file: email.name, status: errors.length > 0 ? 'failed' : 'ok', errors, job });
+        } catch (error) {
+            failures++;
+            results.push({ file: email.name, status: 'failed', errors: [`Parse error: ${error.message}`], job: null });
+        }
+    }
+
+    let output;
+    if (options.format === 'csv') {
+        const jobs = results.filter(result => result.job).map(result => result.job);
+        output = jobs.length > 0
+            ? await DataMappingEngine.exportToFormat('csv', jobs[0], jobs)
+            : EXPORT_MAPPINGS.csv.headers.join(',');
+    } else {
+        output = JSON.stringify(results, null, 2);
+    }
+
+    if (options.out) {
+        fs.writeFileSync(options.out, output + '\n');
+    } else {
+        process.stdout.write(output + '\n');
+    }
+
+    results.filter(result => result.status === 'failed').forEach(result => {
+        console.error(`✗ ${result.file}: ${result.errors.join('; ')}`);
+    });
+    console.error(`${emails.length} email(s) parsed, ${failures} failed validation`);
+
+    console.log = log;
+    return failures > 0 ? 1 : 0;
+}
+
+main().then(code => {
+    process.exitCode = code;
+}).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 2;
+});
@@ -0,0 +1,95 @@
+// Email attachments: parsing them and storing them against job entries: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { EmailParser, createStorage } = require('./helpers.js');
+
+const ATTACHMENT_EMAIL = [
+    'From: SIM-T Dispatch <dispatch@sim-t.example.com>',
+    'Subject: B-123456 - SEA104 - Door Forced Open - P3 - Door - V1234567890',
+    'Content-Type: multipart/mixed; boundary="b1"',
+    '',
+    '--b1',
+    'Content-Type: text/plain',
+    '',
+    'Work Site: SEA104',
+    '--b1',
+    'Content-Type: image/png; name="door.png"',
+    'Content-Disposition: attachment; filename="door.png"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A]).toString('base64'),
+    '--b1--',
+    ''
+].join('\r\n');
+
+// An entry on its own ticket, imported as an email would be
+const importEntry = (storage, ticketNumber, extra = {}) =>
+    storage.migrateLegacyJob({ job_number: ticketNumber, job_name: 'Door Forced Open', building_code: 'SEA104', ...extra });
+
+const bytesOf = async blob => [...new Uint8Array(await blob.arrayBuffer())];
+
+test('parseEml returns attachments as typed Blobs', async () => {
+    const [attachment, ...rest] = EmailParser.parseEml(ATTACHMENT_EMAIL).attachments;
+
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(attachment.filename, 'door.png');
+    assert.strictEqual(attachment.mimeType, 'image/png');
+    assert.strictEqual(attachment.size, 6);
+    assert.strictEqual(attachment.blob.type, 'image/png');
+    assert.deepStrictEqual(await bytesOf(attachment.blob), [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A]);
+});
+
+test('parseMsg returns the .msg attachments as Blobs', async () => {
+    const file = fs.readFileSync(path.join(__dirname, 'fixtures', 'sample.msg'));
+    const [attachment, ...rest] = EmailParser.parseMsg(file.buffer.slice(file.byteOffset, file.byteOffset + file.length)).attachments;
+
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(attachment.filename, 'floorplan.pdf');
+    assert.strictEqual(attachment.mimeType, 'application/pdf');
+    assert.strictEqual(attachment.blob.size, 5120);
+    assert.strictEqual((await bytesOf(attachment.blob))[255], 255);
+});
+
+test('attachments are stored against their entry and read back', async () => {
+    const storage = await createStorage();
+    const entryId = await importEntry(storage, 'B-123456');
+    const otherId = await importEntry(storage, 'B-654321');
+
+    await storage.saveAttachments(entryId, [
+        { filename: 'door.png', mimeType: 'image/png', size: 3, blob: new Blob([new Uint8Array([1, 2, 3])]) },
+        { filename: 'notes.txt', blob: new Blob(['gate code 4321'], { type: 'text/plain' }) },
+        { filename: 'lost.pdf', mimeType: 'application/pdf', size: 0, blob: null }
+    ]);
+    await storage.saveAttachments(otherId, [{ filename: 'other.pdf', mimeType: 'application/pdf', blob: new Blob(['x']) }]);
+
+    const attachments = await storage.getAttachmentsForEntry(entryId);
+    assert.deepStrictEqual(attachments.map(item => [item.filename, item.mime_type, item.size, item.task_ticket_entry_id]), [
+        ['door.png', 'image/png', 3, entryId],
+        ['notes.txt', 'text/plain', 14, entryId]
+    ]);
+    assert.deepStrictEqual(await bytesOf(attachments[0].blob), [1, 2, 3]);
+    assert.strictEqual((await storage.getAttachmentById(attachments[1].attachment_id)).filename, 'notes.txt');
+});
+
+test('deleting an entry removes its attachments and source emails', async () => {
+    const storage = await createStorage();
+    const entryId = await importEntry(storage, 'B-123456', {
+        email_attachments: EmailParser.parseEml(ATTACHMENT_EMAIL).attachments,
+        email_source_file: { filename: 'call.eml', fileType: 'eml', blob: new Blob([ATTACHMENT_EMAIL]) }
+    });
+    const otherId = await importEntry(storage, 'B-654321', {
+        email_attachments: [{ filename: 'other.pdf', mimeType: 'application/pdf', blob: new Blob(['pdf']) }]
+    });
+    assert.deepStrictEqual((await storage.getAttachmentsForEntry(entryId)).map(item => item.filename), ['door.png']);
+    assert.strictEqual((await storage.getSourceEmailsForEntry(entryId)).length, 1);
+
+    await storage.deleteTicketEntry(entryId);
+
+    assert.strictEqual(await storage.getTicketEntryById(entryId), undefined);
+    assert.deepStrictEqual(await storage.getAttachmentsForEntry(entryId), []);
+    assert.deepStrictEqual(await storage.getSourceEmailsForEntry(entryId), []);
+    assert.deepStrictEqual((await storage.getAttachmentsForEntry(otherId)).map(item => item.filename), ['other.pdf']);
+});
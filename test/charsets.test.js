@@ -0,0 +1,45 @@
+// Charset handling in EmailParser.decodeBytes and header decoding: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser } = require('./helpers.js');
+
+const bytes = (text, encoding) => new Uint8Array(Buffer.from(text, encoding));
+
+test('declared charsets are used as given', () => {
+    assert.strictEqual(EmailParser.decodeBytes(bytes('Caf\xe9', 'latin1'), 'ISO-8859-1'), 'Café');
+    assert.strictEqual(EmailParser.decodeBytes(new Uint8Array([0x93, 0x80, 0x94]), 'windows-1252'), '“€”');
+    assert.strictEqual(EmailParser.decodeBytes(new Uint8Array([0xC7, 0xE9]), 'iso-8859-7'), 'Ηι');
+    assert.strictEqual(EmailParser.decodeBytes(bytes('Café', 'utf8'), ' utf-8 '), 'Café');
+});
+
+test('undeclared text is UTF-8 when valid, windows-1252 otherwise', () => {
+    assert.strictEqual(EmailParser.decodeBytes(bytes('Café', 'utf8'), ''), 'Café');
+    assert.strictEqual(EmailParser.decodeBytes(bytes('Caf\xe9', 'latin1'), ''), 'Café');
+    assert.strictEqual(EmailParser.decodeBytes(new Uint8Array([0x93, 0x41, 0x94]), 'us-ascii'), '“A”');
+});
+
+test('RFC 2047 words are decoded with their own charset', () => {
+    const headers = EmailParser.parseHeaders([
+        'Subject: =?ISO-8859-1?Q?Caf=E9_North?= - =?windows-1252?B?k0RvY2uU?=',
+        'From: =?UTF-8*en?Q?Jos=C3=A9?= <jose@example.com>'
+    ].join('\r\n'));
+
+    assert.strictEqual(headers['subject'], 'Café North - “Dock”');
+    assert.strictEqual(headers['from'], 'José <jose@example.com>');
+});
+
+test('raw 8-bit UTF-8 headers are decoded, Latin-1 ones are left alone', () => {
+    const utf8Header = Buffer.from('Subject: Café North', 'utf8').toString('latin1');
+    assert.strictEqual(EmailParser.parseHeaders(utf8Header)['subject'], 'Café North');
+    assert.strictEqual(EmailParser.parseHeaders('Subject: Caf\xe9 North')['subject'], 'Café North');
+});
+
+test('a windows-1252 body read as binary keeps its punctuation', () => {
+    const raw = Buffer.concat([
+        Buffer.from('Subject: Door alarm\r\nContent-Type: text/plain; charset="windows-1252"\r\n\r\n'),
+        Buffer.from([...Buffer.from('Problem Description: '), 0x93, ...Buffer.from('Door held'), 0x94, 0x0D, 0x0A])
+    ]);
+
+    assert.strictEqual(EmailParser.parseEml(new Uint8Array(raw)).problemDescription, '“Door held”');
+});
@@ -0,0 +1,108 @@
+// emailParserCli.js exit codes and output: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { ROOT } = require('./helpers.js');
+
+const VALID_EMAIL = [
+    'From: SIM-T Dispatch <dispatch@sim-t.example.com>',
+    'Subject: B-123456 - SEA104 - Door Forced Open - P2 - Door - V1234567890',
+    'Date: Mon, 19 Oct 2026 10:00:00 -0700',
+    '',
+    'SIM-T Ticket: P296563983',
+    'Work Site: SEA104',
+    'Device Name: V1234567890',
+    ''
+].join('\r\n');
+
+// Subject and body name different sites
+const CONFLICTING_EMAIL = VALID_EMAIL.replace('Work Site: SEA104', 'Work Site: SEA125');
+
+function runCli(files, ...args) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'email-cli-'));
+    try {
+        for (const [name, content] of Object.entries(files)) {
+            fs.writeFileSync(path.join(directory, name), content);
+        }
+        const resolved = args.map(arg => arg.replace('$DIR', directory));
+        return spawnSync(process.execPath, [path.join(ROOT, 'emailParserCli.js'), directory, ...resolved], { encoding: 'utf8' });
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('exits 0 and prints JSON when every email validates', () => {
+    const result = runCli({ 'call.eml': VALID_EMAIL, 'notes.txt': 'ignored' });
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    const [entry, ...rest] = JSON.parse(result.stdout);
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(entry.file, 'call.eml');
+    assert.strictEqual(entry.status, 'ok');
+    assert.strictEqual(entry.job.job_number, 'P296563983');
+    assert.match(result.stderr, /1 email\(s\) parsed, 0 failed validation/);
+});
+
+test('exits 1 when an email fails validation', () => {
+    const result = runCli({ 'good.eml': VALID_EMAIL, 'bad.eml': CONFLICTING_EMAIL }, '--format', 'csv');
+
+    assert.strictEqual(result.status, 1, result.stderr);
+    assert.strictEqual(result.stdout.trim().split('\n').length, 3);
+    assert.match(result.stderr, /✗ bad\.eml: Subject site SEA104 does not match body Work Site "SEA125"/);
+});
+
+test('mbox files contribute one result per message', () => {
+    const mbox = ['From dispatch@sim-t.example.com Mon Oct 19 10:00:00 2026', VALID_EMAIL,
+        'From dispatch@sim-t.example.com Mon Oct 19 11:00:00 2026', VALID_EMAIL].join('\n');
+    const result = runCli({ 'calls.mbox': mbox });
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(JSON.parse(result.stdout).map(entry => entry.file), ['calls.mbox #1', 'calls.mbox #2']);
+});
+
+test('exits 2 on usage errors', () => {
+    const result = runCli({}, '--format', 'xml');
+
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /Unknown format: xml/);
+    assert.strictEqual(result.stdout, '');
+});
+
+test('exits 2 when the directory or rules file cannot be read', () => {
+    const missingDirectory = spawnSync(process.execPath, [path.join(ROOT, 'emailParserCli.js'), path.join(os.tmpdir(), 'no-such-email-dir')], { encoding: 'utf8' });
+    assert.strictEqual(missingDirectory.status, 2);
+    assert.match(missingDirectory.stderr, /^Cannot read /);
+
+    const badRules = runCli({ 'call.eml': VALID_EMAIL, 'rules.json': '{ not json' }, '--rules', '$DIR/rules.json');
+    assert.strictEqual(badRules.status, 2);
+    assert.match(badRules.stderr, /^Cannot load rules from .*rules\.json: /);
+    assert.strictEqual(badRules.stderr.trim().split('\n').length, 1);
+});
+
+test('--rules loads extra profiles that the emails are parsed with', () => {
+    const rules = JSON.stringify({
+        profiles: {
+            acme: {
+                match: { from: ['acme-alarm\\.example'] },
+                fields: { jobNumber: [{ name: 'ref_no', label: 'Ref No:', value: 'AC-\\d+' }] }
+            }
+        }
+    });
+    const email = VALID_EMAIL
+        .replace('SIM-T Dispatch <dispatch@sim-t.example.com>', 'Acme Dispatch <dispatch@acme-alarm.example>')
+        .replace('Work Site:', 'Ref No: AC-40017\r\nWork Site:');
+
+    const withoutRules = runCli({ 'call.eml': email });
+    assert.strictEqual(JSON.parse(withoutRules.stdout)[0].job.job_number, 'P296563983');
+
+    const result = runCli({ 'call.eml': email, 'rules.json': rules }, '--rules', '$DIR/rules.json');
+    assert.strictEqual(result.status, 0, result.stderr);
+    const [entry] = JSON.parse(result.stdout);
+    assert.strictEqual(entry.job.job_number, 'AC-40017');
+    assert.strictEqual(entry.job.email_parser_profile, 'acme');
+    assert.match(result.stderr, /^Loaded rule profiles: acme$/m);
+});
@@ -0,0 +1,118 @@
+// EmailInspector corpus test: compiling generated rules and scoring them per email: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser, createInspector } = require('./helpers.js');
+
+const RULE_OUTPUT = `// Regex Rule: job_number (after "SIM-T Ticket:", value [VP]\\d+)
+// Rules JSON: {"name":"job_number","label":"SIM-T Ticket:","value":"[VP]\\\\d+","anchor":"line"}
+static extractJob_number(content) {
+    const match = content.match(/^[ \\t]*SIM-T Ticket:[ \\t]*([VP]\\d+)/im);
+    return match ? match[1].trim() : '';
+}
+
+// Regex Rule: gateCode (after "Gate Code:", value \\d+)
+static extractGateCode(content) {
+    const match = content.match(/Gate Code:[ \\t]*(\\d+)/i);
+    return match ? match[1].trim() : '';
+}
+
+// Regex Rule: brokenRule (literal text)
+static extractBrokenRule(content) {
+    const match = content.match(/([A-Z/);
+    return match ? match[1].trim() : '';
+}
+
+// XPath Rule: note
+static extractNote(content) {
+    globalThis.corpusRuleRan = true;
+    return 'ran';
+}
+
+// Regex Rule: gateCode (a later rule with the same name wins)
+static extractGateCode(content) {
+    const match = content.match(/Gate Code:[ \\t]*(\\d{2})/i);
+    return match ? match[1].trim() : '';
+}`;
+
+const EMAIL_TEXT = [
+    'Subject: B-802641 - SEA124 - Alarm Active - P3',
+    '',
+    'SIM-T Ticket: V1871560970',
+    'Work Site: SEA124',
+    'Gate Code: 4321',
+    ''
+].join('\r\n');
+
+test('rule names map onto the parser fields they test', () => {
+    const inspector = createInspector();
+
+    assert.strictEqual(inspector.fieldForRule('job_number'), 'jobNumber');
+    assert.strictEqual(inspector.fieldForRule('JobNumber'), 'jobNumber');
+    assert.strictEqual(inspector.fieldForRule('building_code'), 'building');
+    assert.strictEqual(inspector.fieldForRule('gateCode'), null);
+});
+
+test('regex rules are rebuilt from their pattern and flags, the last of each name winning', () => {
+    const inspector = createInspector({ ruleOutput: { textContent: RULE_OUTPUT } });
+    const rules = inspector.compileGeneratedRules();
+
+    // The invalid pattern and the XPath rule are left out; no generated source is run
+    assert.deepStrictEqual(rules.map(rule => [rule.name, rule.field]), [
+        ['job_number', 'jobNumber'],
+        ['gateCode', null]
+    ]);
+    assert.strictEqual(rules[0].extract(EMAIL_TEXT), 'V1871560970');
+    assert.strictEqual(rules[1].extract(EMAIL_TEXT), '43');
+    assert.strictEqual(globalThis.corpusRuleRan, undefined);
+});
+
+test('cells are hits, misses or changes against the parser', () => {
+    const inspector = createInspector({ ruleOutput: { textContent: RULE_OUTPUT } });
+    const [jobNumber, gateCode] = inspector.compileGeneratedRules();
+    const brokenRule = { extract: () => { throw new TypeError('bad rule'); } };
+    const email = EmailParser.parseEml(EMAIL_TEXT);
+
+    assert.deepStrictEqual(inspector.testCorpusCell({ field: 'jobNumber', rule: jobNumber }, email, EMAIL_TEXT),
+        { status: 'hit', value: 'V1871560970' });
+    assert.deepStrictEqual(inspector.testCorpusCell({ field: 'building', rule: null }, email, EMAIL_TEXT),
+        { status: 'hit', value: 'SEA124' });
+    assert.deepStrictEqual(inspector.testCorpusCell({ field: 'address', rule: null }, email, EMAIL_TEXT),
+        { status: 'miss', value: '' });
+    assert.deepStrictEqual(inspector.testCorpusCell({ field: null, rule: gateCode }, email, EMAIL_TEXT),
+        { status: 'hit', value: '43' });
+    const failed = inspector.testCorpusCell({ field: null, rule: brokenRule }, email, EMAIL_TEXT);
+    assert.strictEqual(failed.status, 'miss');
+    assert.strictEqual(failed.value, 'Rule error: bad rule');
+
+    const changed = inspector.testCorpusCell({ field: 'jobNumber', rule: jobNumber }, { jobNumber: 'P296563983' }, EMAIL_TEXT);
+    assert.deepStrictEqual(changed, { status: 'changed', value: '"P296563983" → "V1871560970"' });
+
+    const missed = inspector.testCorpusCell({ field: 'jobNumber', rule: jobNumber }, email, 'No ticket here');
+    assert.deepStrictEqual(missed, { status: 'miss', value: 'Rule found nothing (parser: "V1871560970")' });
+});
+
+test('rules run on the decoded body of quoted-printable and base64 emails', () => {
+    const inspector = createInspector({ ruleOutput: { textContent: RULE_OUTPUT } });
+    const [jobNumber, gateCode] = inspector.compileGeneratedRules();
+    const columns = [{ field: 'jobNumber', rule: jobNumber }, { field: null, rule: gateCode }];
+
+    const body = 'SIM-T Ticket: V1871560970\r\nWork Site: SEA124\r\nGate Code: 4321\r\n';
+    const encoded = (encoding, text) => [
+        'Subject: B-802641 - SEA124 - Alarm Active - P3',
+        'Content-Type: text/plain; charset=utf-8',
+        `Content-Transfer-Encoding: ${encoding}`,
+        '',
+        text
+    ].join('\r\n');
+
+    const quotedPrintable = encoded('quoted-printable', 'SIM-T Ticket: V18715=\r\n60970\r\nWork Site: SEA124\r\nGate Code: =343=321\r\n');
+    const base64 = encoded('base64', Buffer.from(body).toString('base64').replace(/.{1,40}/g, '$&\r\n'));
+
+    for (const raw of [quotedPrintable, base64]) {
+        assert.deepStrictEqual(inspector.testCorpusEmail(columns, raw, 'sample.eml'), [
+            { status: 'hit', value: 'V1871560970' },
+            { status: 'hit', value: '43' }
+        ]);
+    }
+});
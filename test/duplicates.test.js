@@ -0,0 +1,90 @@
+// Re-import detection: EmailParser.contentHash and WMSStorage.findDuplicateEntry: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser, DataMappingEngine, createStorage } = require('./helpers.js');
+
+const SUBJECT = 'B-123456 - SEA104 - Door Forced Open - P3 - Door - V1234567890';
+
+const email = (headers, ...body) => [
+    'From: SIM-T Dispatch <dispatch@sim-t.example.com>',
+    ...headers,
+    'Content-Type: text/plain',
+    '',
+    ...body,
+    ''
+].join('\r\n');
+
+const NEW_CALL = email([
+    'Message-ID: <call-1@sim-t.example.com>',
+    `Subject: ${SUBJECT}`,
+    'Date: Mon, 19 Oct 2026 10:00:00 -0700'
+], 'Work Site: SEA104', 'Device Name: V1234567890', 'Problem Description: Door forced open at the loading dock');
+
+const ESCALATION = email([
+    'Message-ID: <call-1-re@sim-t.example.com>',
+    `Subject: RE: ${SUBJECT}`,
+    'Date: Mon, 19 Oct 2026 11:00:00 -0700'
+], 'Priority raised to P1, the door will not latch.');
+
+const withoutMessageId = raw => raw.replace(/^Message-ID: .*\r\n/m, '');
+
+// What handleEmailImport builds for a dropped file
+const jobDataFor = (raw, filename = 'call.eml') => ({
+    ...DataMappingEngine.mapEmailToJobData(EmailParser.parseEml(raw)),
+    email_source_file: { filename, fileType: 'eml', blob: new Blob([raw]) }
+});
+
+test('the content hash ignores whitespace and the sender name but not the body', () => {
+    const hash = (sender, body) => EmailParser.contentHash(sender, 'Mon, 19 Oct 2026 10:00:00 -0700', SUBJECT, body);
+
+    assert.match(hash('dispatch@sim-t.example.com', 'Door forced open'), /^[0-9a-f]+$/);
+    assert.strictEqual(hash('SIM-T Dispatch <Dispatch@sim-t.example.com>', ' Door  forced\r\nopen '),
+        hash('dispatch@sim-t.example.com', 'Door forced open'));
+    assert.notStrictEqual(hash('dispatch@sim-t.example.com', 'Door held open'),
+        hash('dispatch@sim-t.example.com', 'Door forced open'));
+});
+
+test('a re-imported email matches its entry by Message-ID', async () => {
+    const storage = await createStorage();
+    const entryId = await storage.migrateLegacyJob(jobDataFor(NEW_CALL));
+
+    const duplicate = await storage.findDuplicateEntry(jobDataFor(NEW_CALL, 'copy.eml'));
+    assert.strictEqual(duplicate.entry.entry_id, entryId);
+    assert.strictEqual(duplicate.matchedOn, 'Message-ID');
+});
+
+test('without a Message-ID the same email matches by content hash', async () => {
+    const storage = await createStorage();
+    const entryId = await storage.migrateLegacyJob(jobDataFor(withoutMessageId(NEW_CALL)));
+
+    const reimport = jobDataFor(withoutMessageId(NEW_CALL));
+    assert.strictEqual(reimport.email_message_id, null);
+    const duplicate = await storage.findDuplicateEntry(reimport);
+    assert.strictEqual(duplicate.entry.entry_id, entryId);
+    assert.strictEqual(duplicate.matchedOn, 'content hash');
+});
+
+test('a different email is not a duplicate', async () => {
+    const storage = await createStorage();
+    await storage.migrateLegacyJob(jobDataFor(NEW_CALL));
+
+    assert.strictEqual(await storage.findDuplicateEntry(jobDataFor(ESCALATION)), null);
+});
+
+test('an update applied to a ticket is recognised when imported again', async () => {
+    const storage = await createStorage();
+    const entryId = await storage.migrateLegacyJob(jobDataFor(NEW_CALL));
+
+    const update = jobDataFor(ESCALATION, 'escalation.eml');
+    assert.strictEqual(await storage.findDuplicateEntry(update), null);
+    await storage.applyTicketUpdate(await storage.planTicketUpdate(update));
+
+    const duplicate = await storage.findDuplicateEntry(jobDataFor(ESCALATION, 'escalation.eml'));
+    assert.strictEqual(duplicate.entry.entry_id, entryId);
+    assert.strictEqual(duplicate.matchedOn, 'Message-ID');
+
+    const byHash = await storage.findDuplicateEntry(jobDataFor(withoutMessageId(ESCALATION)));
+    assert.strictEqual(byHash.entry.entry_id, entryId);
+    assert.strictEqual(byHash.matchedOn, 'content hash');
+});
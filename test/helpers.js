@@ -0,0 +1,126 @@
+// Shared setup for the node:test files in this directory: node --test test/
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// The scripts log their debugging to console.log, and the failures they handle themselves to
+// console.warn/error; keep it out of the test report unless TEST_VERBOSE is set, the way
+// emailParserCli.js --verbose sends it to stderr
+const quiet = process.env.TEST_VERBOSE ? null : () => {};
+const scriptConsole = { ...console, log: quiet || console.error, warn: quiet || console.warn, error: quiet || console.error };
+
+// Loads browser scripts the way their pages do, one after another in a shared scope, and
+// returns the named top-level bindings. Globals the scripts expect can be passed in scope.
+function loadScripts(files, names, scope = {}) {
+    const source = files.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n;\n');
+    scope = { console: scriptConsole, ...scope };
+    return new Function(...Object.keys(scope), `${source}\nreturn { ${names.join(', ')} };`)(...Object.values(scope));
+}
+
+// Just enough IndexedDB for WMSStorage to run unchanged: auto-increment stores, single-field
+// indexes, key ranges and requests that complete on a later tick. Every open() starts empty.
+class MemoryKeyRange {
+    static bound(lower, upper) {
+        return Object.assign(new MemoryKeyRange(), { lower, upper });
+    }
+
+    includes(key) {
+        return key >= this.lower && key <= this.upper;
+    }
+}
+
+function memoryRequest(run) {
+    const request = {};
+    setImmediate(() => {
+        try {
+            request.result = run();
+        } catch (error) {
+            request.error = error;
+            if (request.onerror) request.onerror({ target: request });
+            return;
+        }
+        if (request.onsuccess) request.onsuccess({ target: request });
+    });
+    return request;
+}
+
+function memoryStore(keyPath) {
+    const records = new Map();
+    const indexes = new Map();
+    let nextKey = 1;
+    const copy = record => record && { ...record };
+    const all = () => [...records.keys()].sort((a, b) => a - b).map(key => records.get(key));
+    const write = (value, isAdd) => {
+        const record = { ...value };
+        if (record[keyPath] === undefined) record[keyPath] = nextKey;
+        if (isAdd && records.has(record[keyPath])) throw new Error(`Key ${record[keyPath]} already exists`);
+        nextKey = Math.max(nextKey, record[keyPath] + 1);
+        records.set(record[keyPath], record);
+        return record[keyPath];
+    };
+
+    return {
+        indexNames: { contains: name => indexes.has(name) },
+        createIndex: (name, field) => indexes.set(name, field),
+        add: value => memoryRequest(() => write(value, true)),
+        put: value => memoryRequest(() => write(value, false)),
+        get: key => memoryRequest(() => copy(records.get(key))),
+        delete: key => memoryRequest(() => records.delete(key) && undefined),
+        getAll: () => memoryRequest(() => all().map(copy)),
+        clear: () => memoryRequest(() => records.clear()),
+        index: name => ({
+            getAll: value => memoryRequest(() => all()
+                .filter(record => value instanceof MemoryKeyRange
+                    ? value.includes(record[indexes.get(name)])
+                    : record[indexes.get(name)] === value)
+                .map(copy))
+        })
+    };
+}
+
+const memoryIndexedDB = {
+    open() {
+        const stores = new Map();
+        const db = {
+            objectStoreNames: { contains: name => stores.has(name) },
+            createObjectStore: (name, { keyPath }) => stores.set(name, memoryStore(keyPath)).get(name),
+            transaction: () => ({ objectStore: name => stores.get(name) })
+        };
+
+        const request = {};
+        setImmediate(() => {
+            Object.assign(request, { result: db, transaction: db.transaction() });
+            request.onupgradeneeded({ target: request });
+            request.onsuccess({ target: request });
+        });
+        return request;
+    }
+};
+
+// The page's window for the scripts below; set pageWindow.wmsStorage for enrichJobData
+const pageWindow = {};
+
+// Parser, storage and mapping engine, as workManagementSystem.html loads them
+const wms = loadScripts(
+    ['emailParser.js', 'workManagementSystem_storage.js', 'workManagementSystem_mappings.js'],
+    ['EmailParser', 'EmailRuleRegistry', 'MsgReader', 'WMSStorage', 'DataMappingEngine', 'computeSlaDueAt', 'deriveJobDue', 'getSlaStatus', 'extractTicketReferences'],
+    { indexedDB: memoryIndexedDB, IDBKeyRange: MemoryKeyRange, window: pageWindow }
+);
+
+// A WMSStorage on a new, empty in-memory database
+async function createStorage() {
+    const storage = new wms.WMSStorage();
+    await storage.init();
+    return storage;
+}
+
+// An EmailInspector as emailInspector.html loads it, without the constructor that wires up the
+// page; its document only holds the elements given here, e.g. { ruleOutput: { textContent } }
+function createInspector(elements = {}) {
+    const document = { addEventListener() {}, getElementById: id => elements[id] || null };
+    const { EmailInspector } = loadScripts(['emailParser.js', 'emailInspector.js'], ['EmailInspector'], { document });
+    return Object.create(EmailInspector.prototype);
+}
+
+module.exports = { ROOT, loadScripts, createStorage, createInspector, pageWindow, ...wms };
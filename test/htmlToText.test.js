@@ -0,0 +1,45 @@
+// EmailParser.htmlToText checks: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser } = require('./helpers.js');
+
+test('two-cell table rows become Label: value lines', () => {
+    const html = '<table><tr><td>Work Site:</td><td>SEA124</td></tr>'
+        + '<tr><th>Site Address</th><td>500 Main St<br>Seattle, WA</td></tr></table>';
+
+    assert.strictEqual(EmailParser.htmlToText(html), 'Work Site: SEA124\nSite Address: 500 Main St, Seattle, WA');
+});
+
+test('wide rows of alternating label and value cells are split into pairs', () => {
+    const html = '<table><tr><td>Device:</td><td>V1234567890</td><td>Alarm:</td><td>Door Forced</td></tr></table>';
+
+    assert.strictEqual(EmailParser.htmlToText(html), 'Device: V1234567890\nAlarm: Door Forced');
+});
+
+test('nested layout tables collapse from the inside out', () => {
+    const html = '<table><tr><td><table><tr><td>Problem Description:</td><td>Door held</td></tr></table></td></tr>'
+        + '<tr><td><table><tr><td>Device Name:</td><td>V1234567890</td></tr></table></td></tr></table>';
+
+    assert.strictEqual(EmailParser.htmlToText(html), 'Problem Description: Door held\nDevice Name: V1234567890');
+});
+
+test('head, styles and comments are dropped and entities decoded', () => {
+    const html = '<html><head><title>Dispatch</title><style>td { color: red; }</style></head>'
+        + '<body><!-- tracking --><p>Caf&eacute; &amp; lobby&nbsp;door</p><p>Tech&#8217;s note</p></body></html>';
+
+    assert.strictEqual(EmailParser.htmlToText(html), 'Café & lobby door\n\nTech’s note');
+});
+
+test('an HTML-only email is extracted from the converted text', () => {
+    const result = EmailParser.parseEml([
+        'Subject: Door alarm',
+        'Content-Type: text/html; charset=utf-8',
+        '',
+        '<table><tr><td>Work Site:</td><td>SEA124</td></tr><tr><td>Device Name:</td><td>V1234567890</td></tr></table>',
+        ''
+    ].join('\r\n'));
+
+    assert.strictEqual(result.building, 'SEA124');
+    assert.strictEqual(result.deviceName, 'V1234567890');
+});
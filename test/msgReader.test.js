@@ -0,0 +1,48 @@
+// MsgReader / EmailParser.parseMsg checks: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { EmailParser, MsgReader } = require('./helpers.js');
+
+// A minimal Outlook .msg: Unicode subject, body and sender properties in the mini stream,
+// a submit time in __properties_version1.0 and a 5 KB attachment in regular sectors
+function readFixture() {
+    const bytes = fs.readFileSync(path.join(__dirname, 'fixtures', 'sample.msg'));
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+}
+
+test('reads MAPI properties and attachments from the compound file', () => {
+    const message = MsgReader.read(readFixture());
+
+    assert.strictEqual(message.subject, 'Service Call B-802641 - SEA124 - Alarm Active - P3 - Reader - P296563983-13');
+    assert.match(message.body, /^SIM-T Ticket: V1871560970\r\n/);
+    assert.match(message.body, /Problem Description: Café reader offline/);
+    assert.strictEqual(message.senderName, 'Dispatch Desk');
+    assert.strictEqual(message.senderEmail, 'dispatch@sim-t.example.com');
+    assert.strictEqual(message.sentDate.toISOString(), '2025-09-16T05:20:00.000Z');
+
+    assert.strictEqual(message.attachments.length, 1);
+    const [attachment] = message.attachments;
+    assert.strictEqual(attachment.filename, 'floorplan.pdf');
+    assert.strictEqual(attachment.mimeType, 'application/pdf');
+    assert.strictEqual(attachment.data.length, 5120);
+    assert.strictEqual(attachment.data[255], 255);
+});
+
+test('parseMsg extracts the job from the .msg properties', () => {
+    const result = EmailParser.parseMsg(readFixture());
+
+    assert.strictEqual(result.parserProfile, 'default');
+    assert.strictEqual(result.jobNumber, 'V1871560970');
+    assert.strictEqual(result.deviceName, 'P296563983-13');
+    assert.strictEqual(result.building, 'SEA124');
+    assert.strictEqual(result.sender, 'Dispatch Desk <dispatch@sim-t.example.com>');
+    assert.deepStrictEqual(result.attachments.map(attachment => [attachment.filename, attachment.size]), [['floorplan.pdf', 5120]]);
+});
+
+test('rejects files without the compound-file signature', () => {
+    assert.strictEqual(MsgReader.isCompoundFile(new TextEncoder().encode('From: someone').buffer), false);
+    assert.throws(() => MsgReader.read(new ArrayBuffer(512)), /Not an OLE compound file/);
+});
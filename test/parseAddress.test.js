@@ -0,0 +1,37 @@
+// EmailParser.parseAddress checks: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser } = require('./helpers.js');
+
+const parts = (street, city, state, postalCode) => ({
+    street, city, state, postalCode,
+    formatted: [street, city, [state, postalCode].filter(Boolean).join(' ')].filter(Boolean).join(', ')
+});
+
+test('comma-separated street and city without state or ZIP', () => {
+    assert.deepStrictEqual(EmailParser.parseAddress('500 Main St, Seattle'), parts('500 Main St', 'Seattle', '', ''));
+    assert.deepStrictEqual(EmailParser.parseAddress('500 main street, seattle'), parts('500 Main St', 'Seattle', '', ''));
+});
+
+test('a trailing unit is not taken for the city', () => {
+    assert.deepStrictEqual(EmailParser.parseAddress('123 Main St, Suite 200'), parts('123 Main St Ste 200', '', '', ''));
+});
+
+test('city between the street and the state when there is no comma', () => {
+    assert.deepStrictEqual(EmailParser.parseAddress('1 Broadway New York NY 10004'), parts('1 Broadway', 'New York', 'NY', '10004'));
+    assert.deepStrictEqual(EmailParser.parseAddress('123 MAIN ST. SEATTLE WA 98101-1234'), parts('123 Main St', 'Seattle', 'WA', '98101-1234'));
+    assert.deepStrictEqual(EmailParser.parseAddress('1600 Pennsylvania Ave NW Washington DC 20500'),
+        parts('1600 Pennsylvania Ave NW', 'Washington', 'DC', '20500'));
+    assert.deepStrictEqual(EmailParser.parseAddress('100 Main St Ste 200 Seattle WA'), parts('100 Main St Ste 200', 'Seattle', 'WA', ''));
+});
+
+test('multi-line addresses with full state names', () => {
+    assert.deepStrictEqual(EmailParser.parseAddress('123 main street, suite 200\nSeattle, Washington 98101'),
+        parts('123 Main St Ste 200', 'Seattle', 'WA', '98101'));
+});
+
+test('street suffixes and directions are not read as states', () => {
+    assert.deepStrictEqual(EmailParser.parseAddress('100 Elm Ct'), parts('100 Elm Ct', '', '', ''));
+    assert.deepStrictEqual(EmailParser.parseAddress('410 Terry Ave NE'), parts('410 Terry Ave NE', '', '', ''));
+});
@@ -0,0 +1,97 @@
+// EmailParser.parseEml MIME decoding checks: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser } = require('./helpers.js');
+
+const base64 = text => Buffer.from(text, 'utf8').toString('base64');
+
+const MULTIPART_EMAIL = [
+    'From: SIM-T Dispatch <dispatch@sim-t.example.com>',
+    'Subject: B-123456 - SEA104 - Door Forced Open - P2 - Door - V1234567890',
+    'Date: Mon, 19 Oct 2026 10:00:00 -0700',
+    'Message-ID: <abc123@sim-t.example.com>',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="outer"',
+    '',
+    '--outer',
+    'Content-Type: multipart/alternative; boundary="inner"',
+    '',
+    '--inner',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'SIM-T Ticket: P296563983',
+    'Work Site: SEA104 =E2=80=93 Lobby',
+    'Problem Description: Door held open after the badge reader r=',
+    'eset',
+    '---',
+    '--inner',
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    '<p>HTML copy</p>',
+    '--inner--',
+    '--outer',
+    'Content-Type: application/pdf',
+    'Content-Transfer-Encoding: base64',
+    "Content-Disposition: attachment; filename*=UTF-8''Plan%20%C3%A9tage.pdf",
+    '',
+    base64('%PDF-1.4 test'),
+    '--outer--',
+    ''
+].join('\r\n');
+
+test('multipart messages reach the extractors as decoded text', () => {
+    const result = EmailParser.parseEml(MULTIPART_EMAIL);
+
+    assert.strictEqual(result.jobNumber, 'P296563983');
+    assert.strictEqual(result.building, 'SEA104 – Lobby');
+    assert.strictEqual(result.problemDescription, 'Door held open after the badge reader reset');
+    assert.strictEqual(result.messageId, 'abc123@sim-t.example.com');
+    assert.strictEqual(result.sentDate, '2026-10-19T17:00:00.000Z');
+});
+
+test('attachments are base64-decoded and keep their RFC 2231 file names', () => {
+    const [attachment, ...rest] = EmailParser.parseEml(MULTIPART_EMAIL).attachments;
+
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(attachment.filename, 'Plan étage.pdf');
+    assert.strictEqual(attachment.mimeType, 'application/pdf');
+    assert.strictEqual(attachment.size, '%PDF-1.4 test'.length);
+});
+
+test('a base64 text body is decoded', () => {
+    const result = EmailParser.parseEml([
+        'Subject: Door alarm',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64('Device Name: V1234567890\r\nWork Site: Café North\r\n'),
+        ''
+    ].join('\r\n'));
+
+    assert.strictEqual(result.deviceName, 'V1234567890');
+    assert.strictEqual(result.building, 'Café North');
+});
+
+test('RFC 2047 subjects are decoded, including folded B and Q words', () => {
+    const result = EmailParser.parseEml([
+        `Subject: =?UTF-8?B?${base64('B-123456 - SEA104 - ')}?=`,
+        ' =?UTF-8?Q?Porte_forc=C3=A9e?= - P2',
+        'Content-Type: text/plain',
+        '',
+        'Ticket Number: B-123456',
+        ''
+    ].join('\r\n'));
+
+    assert.strictEqual(result.jobName, 'B-123456 - SEA104 - Porte forcée - P2');
+});
+
+test('binary input decodes each part with its own charset', () => {
+    const raw = Buffer.concat([
+        Buffer.from('Subject: Door alarm\r\nContent-Type: text/plain; charset=iso-8859-1\r\n\r\nWork Site: ', 'latin1'),
+        Buffer.from('Caf\xe9 North\r\n', 'latin1')
+    ]);
+
+    assert.strictEqual(EmailParser.parseEml(new Uint8Array(raw)).building, 'Café North');
+});
@@ -0,0 +1,47 @@
+// EmailParser.parseSubject checks: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser } = require('./helpers.js');
+
+test('decomposes a full Service Call subject', () => {
+    assert.deepStrictEqual(
+        EmailParser.parseSubject('Service Call B-802641 - SEA124 - Alarm Active - P3 - Reader - P296563983-13'),
+        {
+            serviceCallId: 'B-802641',
+            siteCode: 'SEA124',
+            alarmType: 'Alarm Active',
+            priority: 'P3',
+            deviceClass: 'Reader',
+            deviceId: 'P296563983',
+            deviceSuffix: '13'
+        }
+    );
+});
+
+test('strips reply prefixes and keeps hyphenated alarm types whole', () => {
+    const parts = EmailParser.parseSubject('RE: FW: Service Call: b-802641 - sea124 - Door Forced Open - Rear - P1 - Door - V1234567890');
+
+    assert.strictEqual(parts.serviceCallId, 'B-802641');
+    assert.strictEqual(parts.siteCode, 'SEA124');
+    assert.strictEqual(parts.alarmType, 'Door Forced Open - Rear');
+    assert.strictEqual(parts.priority, 'P1');
+    assert.strictEqual(parts.deviceClass, 'Door');
+    assert.strictEqual(parts.deviceId, 'V1234567890');
+    assert.strictEqual(parts.deviceSuffix, '');
+});
+
+test('a subject without a priority takes the next segment as the alarm type', () => {
+    const parts = EmailParser.parseSubject('B-802641 - SEA124 - Alarm Active - Reader');
+
+    assert.strictEqual(parts.alarmType, 'Alarm Active');
+    assert.strictEqual(parts.priority, '');
+    assert.strictEqual(parts.deviceClass, 'Reader');
+    assert.strictEqual(parts.deviceId, '');
+});
+
+test('other subjects give empty parts', () => {
+    const empty = EmailParser.parseSubject('');
+    assert.deepStrictEqual(EmailParser.parseSubject('Lunch on Friday?'), empty);
+    assert.ok(Object.values(empty).every(value => value === ''));
+});
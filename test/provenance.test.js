@@ -0,0 +1,89 @@
+// EmailParser.extractData provenance: value offsets and match confidence: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser } = require('./helpers.js');
+
+const SUBJECT = 'B-123456 - SEA104 - Door Forced Open - P3 - Door - V1234567890';
+
+// Quoted-printable, so offsets into the raw text and the decoded body differ
+const QP_EMAIL = [
+    'From: SIM-T Dispatch <dispatch@sim-t.example.com>',
+    `Subject: ${SUBJECT}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'Caf=C3=A9 lobby alarm =E2=80=94 please respond.',
+    'SIM-T Ticket: v0000012345',
+    'Device Name: V1234567890',
+    'Problem Description: Door forced open at the caf=C3=A9,',
+    'latch will not hold',
+    '---',
+    'Work Site: SEA104',
+    'Work Site Address: 1 Main St, Seattle, WA 98101',
+    ''
+].join('\r\n');
+
+const OUTLOOK_REPLY = [
+    'Work Site: SEA124',
+    '',
+    '-----Original Message-----',
+    'From: Dispatch <dispatch@sim-t.example.com>',
+    'Sent: Monday, October 19, 2026 10:00 AM',
+    `Subject: ${SUBJECT}`,
+    '',
+    'Work Site: SEA104',
+    'Device Name: V1234567890',
+    ''
+].join('\n');
+
+// Transforms upper-case values and multiline rules join their lines with a space
+const normalize = text => text.replace(/\s+/g, ' ').trim().toUpperCase();
+
+test('body offsets slice each value out of the decoded body', () => {
+    const { subject, body } = EmailParser.decodeText(QP_EMAIL, 'eml');
+    const { provenance } = EmailParser.parseEml(QP_EMAIL);
+    assert.ok(body.startsWith('Café lobby alarm —'));
+
+    const bodyFields = Object.keys(provenance).filter(field => provenance[field].source === 'body' && provenance[field].value);
+    assert.deepStrictEqual(bodyFields, ['jobNumber', 'deviceName', 'problemDescription', 'building', 'address']);
+    for (const field of bodyFields) {
+        const { value, start, end } = provenance[field];
+        assert.strictEqual(normalize(body.slice(start, end)), normalize(value), field);
+    }
+    assert.strictEqual(body.slice(provenance.building.start, provenance.building.end), 'SEA104');
+    assert.strictEqual(provenance.problemDescription.value, 'Door forced open at the café, latch will not hold');
+
+    const subjectFields = Object.keys(provenance).filter(field => provenance[field].source === 'subject' && provenance[field].value);
+    assert.strictEqual(subjectFields.length, 7);
+    for (const field of subjectFields) {
+        const { value, start, end } = provenance[field];
+        assert.strictEqual(subject.slice(start, end), value, field);
+    }
+});
+
+test('values taken from an older message point into it and are trusted less', () => {
+    const { provenance } = EmailParser.extractData(`RE: ${SUBJECT}`, OUTLOOK_REPLY);
+
+    // The newest message has a building, only the older one a device
+    assert.strictEqual(provenance.building.segment, undefined);
+    assert.strictEqual(OUTLOOK_REPLY.slice(provenance.building.start, provenance.building.end), 'SEA124');
+    assert.strictEqual(provenance.deviceName.segment, 1);
+    assert.strictEqual(OUTLOOK_REPLY.slice(provenance.deviceName.start, provenance.deviceName.end), 'V1234567890');
+
+    const newest = EmailParser.extractData(SUBJECT, 'Device Name: V1234567890').provenance.deviceName;
+    assert.strictEqual(newest.rule, provenance.deviceName.rule);
+    assert.ok(provenance.deviceName.confidence < newest.confidence);
+});
+
+test('a fallback label is trusted less than the specific one and flagged for review', () => {
+    const labelled = EmailParser.extractData(SUBJECT, 'Work Site: SEA104');
+    const fallback = EmailParser.extractData(SUBJECT, 'Site: SEA104');
+
+    assert.strictEqual(labelled.building, 'SEA104');
+    assert.strictEqual(fallback.building, 'SEA104');
+    assert.deepStrictEqual([labelled.provenance.building.rule, fallback.provenance.building.rule], ['work_site', 'site']);
+    assert.ok(fallback.provenance.building.confidence < labelled.provenance.building.confidence);
+    assert.ok(fallback.lowConfidenceFields.includes('building'));
+    assert.ok(!labelled.lowConfidenceFields.includes('building'));
+});
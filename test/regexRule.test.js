@@ -0,0 +1,102 @@
+// EmailInspector regex rule inference checks: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createInspector } = require('./helpers.js');
+
+const CONTENT = [
+    'Ticket: B-802641',
+    'Device Name: V1234567890',
+    'Work Site: SEA124 (Main Lobby)',
+    'Contact',
+    'Jane Smith',
+    'Call Bob at 555 now',
+    ''
+].join('\r\n');
+
+// What the inferred rule captures from the email it was made from
+const capture = (rule, content = CONTENT) => (new RegExp(rule.source, rule.flags).exec(content) || [])[1];
+
+test('values are generalised by their shape', () => {
+    const inspector = createInspector();
+
+    assert.strictEqual(inspector.inferValuePattern('42', ''), '\\d+');
+    assert.strictEqual(inspector.inferValuePattern('p123456', ''), '[VP]\\d+');
+    assert.strictEqual(inspector.inferValuePattern('B-123456', ''), '[A-Z]+-\\d+');
+    assert.strictEqual(inspector.inferValuePattern('SEA104', ''), '[A-Z]+\\d+');
+    assert.strictEqual(inspector.inferValuePattern('Main Lobby', ''), '[^\\r\\n]+');
+    assert.strictEqual(inspector.inferValuePattern('Main Lobby', ' (rear)'), '[^\\r\\n]+?(?=[ \\t]*\\()');
+});
+
+test('a value after a label is anchored on the label at the start of its line', () => {
+    const rule = createInspector().inferRegexRule('V1234567890', CONTENT);
+
+    assert.strictEqual(rule.label, 'Device Name:');
+    assert.strictEqual(rule.anchor, 'line');
+    assert.strictEqual(rule.value, '[VP]\\d+');
+    assert.strictEqual(rule.flags, 'im');
+    assert.strictEqual(capture(rule), 'V1234567890');
+    assert.strictEqual(capture(rule, 'Device Name: P296563983\r\n'), 'P296563983');
+});
+
+test('a selection that includes its label gives the same rule', () => {
+    const inspector = createInspector();
+
+    assert.deepStrictEqual(inspector.inferRegexRule('Device Name: V1234567890', CONTENT),
+        inspector.inferRegexRule('V1234567890', CONTENT));
+});
+
+test('a value on its own line is anchored on the line above', () => {
+    const rule = createInspector().inferRegexRule('Jane Smith', CONTENT);
+
+    assert.strictEqual(rule.label, undefined);
+    assert.strictEqual(capture(rule), 'Jane Smith');
+    assert.strictEqual(capture(rule, 'Contact\nJohn Doe\n'), 'John Doe');
+});
+
+test('other values are anchored on the words before them', () => {
+    const inspector = createInspector();
+
+    const name = inspector.inferRegexRule('Bob', CONTENT);
+    assert.strictEqual(capture(name), 'Bob');
+    assert.strictEqual(capture(name, 'Please call Alice at 555'), 'Alice');
+
+    const lobby = inspector.inferRegexRule('Main Lobby', CONTENT);
+    assert.strictEqual(capture(lobby), 'Main Lobby');
+});
+
+test('text that is not in the email is matched literally', () => {
+    const rule = createInspector().inferRegexRule('a.b', CONTENT);
+
+    assert.deepStrictEqual(rule, { source: '(a\\.b)', flags: '', value: 'a\\.b', description: 'literal text' });
+});
+
+test('generated rules run as written in the rule output', () => {
+    const output = { textContent: '' };
+    const inspector = createInspector({ ruleOutput: output });
+    inspector.rawContent = CONTENT;
+
+    output.textContent = [
+        inspector.generateRegexRule('job_number', 'B-802641'),
+        inspector.generateRegexRule('building_code', 'SEA124')
+    ].join('\n\n');
+    assert.match(output.textContent, /\/\/ Rules JSON: \{"name":"job_number","label":"Ticket:","value":"\[A-Z\]\+-\\\\d\+","anchor":"line"\}/);
+
+    const rules = inspector.compileGeneratedRules();
+    assert.deepStrictEqual(rules.map(rule => [rule.name, rule.extract(CONTENT)]), [
+        ['job_number', 'B-802641'],
+        ['building_code', 'SEA124']
+    ]);
+});
+
+test('CSS and XPath rules keep quotes, backslashes and line breaks in the selection as text', () => {
+    const inspector = createInspector();
+    const selection = 'Note: "x"); throw new Error("ran"); ("\\';
+    const content = `${selection} rear door\r\nNext line`;
+    // The generated method body, compiled the way a pasted rule would be
+    const compile = rule => new Function('content', rule.slice(rule.indexOf('{') + 1, rule.lastIndexOf('}')));
+
+    assert.strictEqual(compile(inspector.generateCSSRule('note', selection))(content), 'rear door');
+    assert.strictEqual(compile(inspector.generateXPathRule('note', selection))(content), 'rear door');
+    assert.strictEqual(compile(inspector.generateXPathRule('note', 'two\nlines'))('no match'), '');
+});
@@ -0,0 +1,103 @@
+// Related ticket references and ticket links: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser, DataMappingEngine, extractTicketReferences, createStorage } = require('./helpers.js');
+
+test('extractTicketReferences finds service calls and devices once each, uppercased', () => {
+    assert.deepStrictEqual(
+        extractTicketReferences('See b-802641 and P296563983-13\nalso V1871560970, B-802641, B-12345'),
+        ['B-802641', 'P296563983', 'V1871560970']
+    );
+    assert.deepStrictEqual(extractTicketReferences(null), []);
+});
+
+test('extractRelatedTickets leaves out the email\'s own ticket numbers and devices', () => {
+    const body = 'Same reader as B-700001 last week. P296563983-13 again, see also V1871560970 and P111111111.';
+
+    assert.deepStrictEqual(
+        EmailParser.extractRelatedTickets(body, ['B-802641', 'P296563983-13', null]),
+        ['B-700001', 'V1871560970', 'P111111111']
+    );
+});
+
+test('parsed emails list references from the body and quoted history', () => {
+    const result = EmailParser.parseEml([
+        'Subject: B-802641 - SEA124 - Alarm Active - P3 - Reader - P296563983-13',
+        '',
+        'Device Name: P296563983-13',
+        'Related to B-700001.',
+        '',
+        'On Mon, Oct 19, 2026 at 10:00 AM, Dispatch <dispatch@sim-t.example.com> wrote:',
+        '> Previously logged as B-700002 on V1871560970',
+        ''
+    ].join('\r\n'));
+
+    assert.deepStrictEqual(result.relatedTickets, ['B-700001', 'B-700002', 'V1871560970']);
+});
+
+async function importTicket(storage, ticketNumber, relatedTickets) {
+    await storage.migrateLegacyJob({
+        job_number: ticketNumber,
+        job_name: ticketNumber,
+        building_code: 'SEA124',
+        job_related_tickets: relatedTickets
+    });
+    return storage.getTicketByNumber(ticketNumber);
+}
+
+const linkedReferences = async (storage, ticket) =>
+    (await storage.getTicketLinks(ticket.ticket_id)).map(link => link.reference).sort();
+
+test('links resolve both ways once the other ticket exists', async () => {
+    const storage = await createStorage();
+    const first = await importTicket(storage, 'B-802641', 'B-700001\nV1871560970');
+    const second = await importTicket(storage, 'B-700001', '');
+
+    const related = await storage.getRelatedTickets(first.ticket_id);
+    assert.deepStrictEqual(related.map(item => [item.reference, item.direction, item.ticket && item.ticket.ticket_number]), [
+        ['B-700001', 'references', 'B-700001'],
+        ['V1871560970', 'references', null]
+    ]);
+
+    const back = await storage.getRelatedTickets(second.ticket_id);
+    assert.deepStrictEqual(back.map(item => [item.reference, item.direction]), [['B-802641', 'referenced by']]);
+});
+
+test('email updates only add links', async () => {
+    const storage = await createStorage();
+    const ticket = await importTicket(storage, 'B-802641', 'B-700001');
+
+    await storage.saveTicketLinks(ticket.ticket_id, 'B-700002\nB-802641');
+    assert.deepStrictEqual(await linkedReferences(storage, ticket), ['B-700001', 'B-700002']);
+});
+
+test('saving the form removes links the ticket no longer lists', async () => {
+    const storage = await createStorage();
+    const ticket = await importTicket(storage, 'B-802641', 'B-700001\nB-700002');
+    const [entry] = await storage.getTicketEntriesByTicket(ticket.ticket_id);
+
+    // As the form does: the entry is saved with the edited field, then the links follow it
+    await storage.saveTicketEntry({ ...entry, job_related_tickets: 'B-700002' });
+    await storage.saveTicketLinks(ticket.ticket_id, 'B-700002', { replace: true });
+
+    assert.deepStrictEqual(await linkedReferences(storage, ticket), ['B-700002']);
+    assert.deepStrictEqual(await storage.getRelatedTickets(ticket.ticket_id).then(items => items.map(item => item.reference)), ['B-700002']);
+});
+
+test('a reference another visit to the ticket still lists is kept', async () => {
+    const storage = await createStorage();
+    const ticket = await importTicket(storage, 'B-802641', 'B-700001');
+    await importTicket(storage, 'B-802641', 'B-700002');
+    const [first] = await storage.getTicketEntriesByTicket(ticket.ticket_id);
+
+    await storage.saveTicketEntry({ ...first, job_related_tickets: '' });
+    await storage.saveTicketLinks(ticket.ticket_id, '', { replace: true });
+
+    assert.deepStrictEqual(await linkedReferences(storage, ticket), ['B-700002']);
+});
+
+test('the mapped job carries the related tickets one per line', () => {
+    const job = DataMappingEngine.mapEmailToJobData({ relatedTickets: ['B-700001', 'V1871560970'] });
+    assert.strictEqual(job.job_related_tickets, 'B-700001\nV1871560970');
+});
@@ -0,0 +1,104 @@
+// Re-parse / bulk re-extract checks: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser, DataMappingEngine, createStorage, pageWindow } = require('./helpers.js');
+
+const MULTI_DEVICE_EMAIL = [
+    'From: dispatch@sim-t.example.com',
+    'Subject: B-123456 - SEA104 - Door Forced Open - P2 - Door - V1234567890',
+    'Date: Mon, 19 Oct 2026 10:00:00 -0700',
+    'Content-Type: text/plain',
+    '',
+    'Ticket Number: B-123456',
+    'Device Name: V1234567890',
+    'Device Name: V2234567890',
+    ''
+].join('\r\n');
+
+// What enrichJobData returns for the entry that import saved: every associated device, primary first
+function savedEntryFor(job) {
+    return { ...job, device_id: job.device_ids.join(', ') };
+}
+
+test('a multi-device entry re-extracts with no changes', () => {
+    const job = DataMappingEngine.mapEmailToJobData(EmailParser.parseEml(MULTI_DEVICE_EMAIL));
+    assert.deepStrictEqual(job.device_ids, ['V1234567890', 'V2234567890']);
+
+    const fresh = DataMappingEngine.mapEmailToJobData(EmailParser.parseEml(MULTI_DEVICE_EMAIL));
+    assert.deepStrictEqual(DataMappingEngine.diffJobData(savedEntryFor(job), fresh), []);
+});
+
+test('a device missing from the fresh parse is not removed', () => {
+    const saved = savedEntryFor(DataMappingEngine.mapEmailToJobData(EmailParser.parseEml(MULTI_DEVICE_EMAIL)));
+    const fresh = { ...saved, device_id: 'V1234567890', device_ids: ['V1234567890'] };
+    assert.deepStrictEqual(DataMappingEngine.diffJobData(saved, fresh), []);
+});
+
+test('a new device is offered on top of the saved ones', () => {
+    const saved = savedEntryFor(DataMappingEngine.mapEmailToJobData(EmailParser.parseEml(MULTI_DEVICE_EMAIL)));
+    const fresh = { ...saved, device_id: 'V1234567890', device_ids: ['V1234567890', 'V3234567890'] };
+    assert.deepStrictEqual(DataMappingEngine.diffJobData(saved, fresh), [{
+        field: 'device_id',
+        label: 'Device(s)',
+        from: 'V1234567890, V2234567890',
+        to: 'V1234567890, V2234567890, V3234567890'
+    }]);
+});
+
+const SECOND_EMAIL = [
+    'From: dispatch@sim-t.example.com',
+    'Subject: B-654321 - SEA124 - Door Held Open - P3 - Door - V3234567890',
+    'Date: Tue, 20 Oct 2026 08:30:00 -0700',
+    'Content-Type: text/plain',
+    '',
+    'Work Site: SEA124',
+    'Device Name: V3234567890',
+    'Problem Description: Door held open at the north entrance',
+    ''
+].join('\r\n');
+
+// A storage that the page's enrichJobData reads from
+async function createPageStorage() {
+    const storage = await createStorage();
+    pageWindow.wmsStorage = storage;
+    return storage;
+}
+
+// Imports the email as the page does, keeping the original file with the entry
+function importEmail(storage, raw, filename) {
+    return storage.migrateLegacyJob({
+        ...DataMappingEngine.mapEmailToJobData(EmailParser.parseEml(raw)),
+        email_source_file: { filename, fileType: 'eml', blob: new Blob([raw]) }
+    });
+}
+
+// The entry the way the page loads it back
+async function importAndLoad(raw) {
+    const storage = await createPageStorage();
+    const entryId = await importEmail(storage, raw, 'call.eml');
+    return DataMappingEngine.enrichJobData(await storage.getTicketEntryById(entryId));
+}
+
+test('an imported email re-parses with no changes', async () => {
+    const saved = await importAndLoad(MULTI_DEVICE_EMAIL);
+    assert.strictEqual(saved.building_code, 'SEA104');
+
+    const fresh = DataMappingEngine.mapEmailToJobData(EmailParser.parseEml(MULTI_DEVICE_EMAIL));
+    assert.deepStrictEqual(DataMappingEngine.diffJobData(saved, fresh), []);
+});
+
+test('bulk re-extraction of unchanged imports finds no changes', async () => {
+    const storage = await createPageStorage();
+    await importEmail(storage, MULTI_DEVICE_EMAIL, 'first.eml');
+    await importEmail(storage, SECOND_EMAIL, 'second.eml');
+
+    // As showBulkReextract does for every entry's original email
+    const originals = await storage.getOriginalSourceEmails();
+    assert.deepStrictEqual(originals.map(source => source.filename), ['first.eml', 'second.eml']);
+    for (const source of originals) {
+        const current = await DataMappingEngine.enrichJobData(await storage.getTicketEntryById(source.task_ticket_entry_id));
+        const fresh = DataMappingEngine.mapEmailToJobData(EmailParser.parseEml(await source.blob.arrayBuffer()));
+        assert.deepStrictEqual(DataMappingEngine.diffJobData(current, fresh), [], source.filename);
+    }
+});
@@ -0,0 +1,125 @@
+// EmailRuleRegistry JSON profiles: loading, validation and parsing with them: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser, EmailRuleRegistry } = require('./helpers.js');
+
+const ACME_RULES = {
+    profiles: {
+        acme: {
+            description: 'Acme Alarm Co. dispatch emails',
+            match: { from: ['acme-alarm\\.example'] },
+            fields: {
+                jobNumber: [{ name: 'ref_no', label: 'Ref No:', value: 'AC-\\d+', transform: 'upper', confidence: 0.9 }],
+                building: [{ name: 'site_code', label: 'Site Code:', anchor: 'line', confidence: 0.9 }],
+                gateCode: [{ name: 'gate_code', regex: 'Gate\\s*Code:\\s*(\\d+)' }]
+            }
+        }
+    }
+};
+
+const ACME_EMAIL = [
+    'From: Acme Dispatch <dispatch@acme-alarm.example>',
+    'Subject: Alarm at the north gate',
+    'Content-Type: text/plain',
+    '',
+    'Ref No: ac-40017',
+    'Site Code: SEA131',
+    'Gate Code: 2468',
+    ''
+].join('\r\n');
+
+// A registry on the built-in profiles that the parser uses for the duration of the test
+function useRegistry(t) {
+    const registry = EmailRuleRegistry.withDefaults();
+    const previous = EmailParser.ruleRegistry;
+    EmailParser.ruleRegistry = registry;
+    t.after(() => { EmailParser.ruleRegistry = previous; });
+    return registry;
+}
+
+const profileWith = fields => ({ profiles: { broken: { fields } } });
+
+test('a valid profile loads from JSON text and compiles its rules', () => {
+    const registry = EmailRuleRegistry.withDefaults();
+
+    assert.deepStrictEqual(registry.loadJson(JSON.stringify(ACME_RULES)), ['acme']);
+    assert.ok(registry.listProfiles().includes('acme'));
+
+    const profile = registry.getProfile('acme');
+    assert.strictEqual(profile.description, 'Acme Alarm Co. dispatch emails');
+    assert.deepStrictEqual(profile.fields.jobNumber.map(rule => [rule.name, rule.pattern.source, rule.confidence]),
+        [['ref_no', 'Ref No:[ \\t]*(AC-\\d+)', 0.9]]);
+    assert.strictEqual(profile.fields.building[0].pattern.flags, 'dim');
+    assert.strictEqual(profile.fields.gateCode[0].confidence, 0.5);
+    assert.deepStrictEqual(JSON.parse(registry.toJson()).profiles.acme, ACME_RULES.profiles.acme);
+});
+
+test('rules JSON without profiles is rejected', () => {
+    const registry = new EmailRuleRegistry();
+
+    assert.throws(() => registry.loadJson('{ "rules": [] }'), /must contain a "profiles" object/);
+    assert.throws(() => registry.loadJson('{ not json'), SyntaxError);
+});
+
+test('profiles and rules with missing fields are rejected', () => {
+    const registry = new EmailRuleRegistry();
+
+    assert.throws(() => registry.loadJson({ profiles: { broken: { match: {} } } }), /Profile "broken" must define "fields"/);
+    assert.throws(() => registry.loadJson(profileWith({ jobNumber: { label: 'Ticket:' } })),
+        /Profile "broken" field "jobNumber" must be an array of rules/);
+    assert.throws(() => registry.loadJson(profileWith({ jobNumber: [{ name: 'ticket', value: '\\d+' }] })),
+        /Rule broken\.jobNumber\[0\] needs a "label" or a "regex"/);
+});
+
+test('invalid regexes are rejected with the rule they belong to', () => {
+    const registry = new EmailRuleRegistry();
+
+    assert.throws(() => registry.loadJson(profileWith({ jobNumber: [{ regex: 'Ticket: ([A-Z' }] })),
+        /^Error: Rule broken\.jobNumber\[0\] has an invalid regex: /);
+    assert.throws(() => registry.loadJson(profileWith({ building: [{ label: 'Site:', value: '(\\w+' }] })),
+        /Rule broken\.building\[0\] has an invalid regex: /);
+    assert.throws(() => registry.loadJson(profileWith({ problemDescription: [{ label: 'Problem:', multiline: true, until: '[' }] })),
+        /Rule broken\.problemDescription\[0\] "until" has an invalid regex: /);
+    assert.throws(() => registry.loadJson({ profiles: { broken: { match: { from: ['*acme'] }, fields: {} } } }),
+        /Profile "broken" from match has an invalid regex: /);
+    assert.throws(() => registry.loadJson({ profiles: { broken: { match: { subject: ['acme'] }, fields: {} } } }),
+        /Profile "broken" matches unknown header "subject"/);
+});
+
+test('two rules with the same name in one field are rejected', () => {
+    const registry = new EmailRuleRegistry();
+    const rules = profileWith({
+        building: [{ name: 'site', label: 'Site:' }, { name: 'site', label: 'Work Site:' }],
+        address: [{ name: 'site', label: 'Site Address:' }]
+    });
+
+    assert.throws(() => registry.loadJson(rules), /Profile "broken" field "building" has more than one rule named "site"/);
+});
+
+test('a file with one bad profile registers none of them', () => {
+    const registry = EmailRuleRegistry.withDefaults();
+    const rules = { profiles: { ...ACME_RULES.profiles, broken: { fields: { jobNumber: [{ regex: '(' }] } } } };
+
+    assert.throws(() => registry.loadJson(rules), /invalid regex/);
+    assert.ok(!registry.listProfiles().includes('acme'));
+    assert.throws(() => registry.loadJson({ ...ACME_RULES, fallbackProfile: 'missing' }), /Unknown fallback profile: missing/);
+    assert.ok(!registry.listProfiles().includes('acme'));
+});
+
+test('parsing with a loaded profile changes the extracted fields', t => {
+    const registry = useRegistry(t);
+
+    const before = EmailParser.parseEml(ACME_EMAIL);
+    assert.strictEqual(before.parserProfile, 'generic');
+    assert.strictEqual(before.jobNumber, '');
+    assert.strictEqual(before.building, '');
+
+    registry.loadJson(ACME_RULES);
+    const after = EmailParser.parseEml(ACME_EMAIL);
+    assert.strictEqual(after.parserProfile, 'acme');
+    assert.strictEqual(after.jobNumber, 'AC-40017');
+    assert.strictEqual(after.building, 'SEA131');
+    assert.deepStrictEqual(after.customFields, { gateCode: '2468' });
+    assert.strictEqual(after.provenance.building.rule, 'site_code');
+});
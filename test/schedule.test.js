@@ -0,0 +1,92 @@
+// EmailParser.deriveSchedule checks: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser, DataMappingEngine } = require('./helpers.js');
+
+const HOUR = 3600000;
+const SENT = new Date('2026-10-19T17:00:00Z');
+
+// Expected local date/time strings, whatever timezone the tests run in
+const localDate = date => EmailParser.toLocalDateString(date);
+const localTime = date => EmailParser.toLocalTimeString(date);
+
+test('the Date header sets the job date, start time and default due time', () => {
+    const schedule = EmailParser.deriveSchedule(SENT, 'Work Site: SEA124');
+
+    assert.strictEqual(schedule.dispatchedAt, SENT.toISOString());
+    assert.strictEqual(schedule.scheduledAt, null);
+    assert.strictEqual(schedule.jobDate, localDate(SENT));
+    assert.strictEqual(schedule.jobStartTime, localTime(SENT));
+    assert.strictEqual(schedule.dueAt, new Date(SENT.getTime() + 24 * HOUR).toISOString());
+    assert.strictEqual(schedule.dueAtSource, 'default');
+});
+
+test('a Scheduled: line sets the start, and the default due time counts from it', () => {
+    const scheduled = new Date(2026, 9, 26, 9, 30);
+    const schedule = EmailParser.deriveSchedule(SENT, 'Scheduled for: October 26, 2026 at 9:30 am');
+
+    assert.strictEqual(schedule.dispatchedAt, SENT.toISOString());
+    assert.strictEqual(schedule.scheduledAt, scheduled.toISOString());
+    assert.strictEqual(schedule.jobDate, '2026-10-26');
+    assert.strictEqual(schedule.jobStartTime, '09:30');
+    assert.strictEqual(schedule.jobEndTime, '17:00');
+    assert.strictEqual(schedule.dueAt, new Date(scheduled.getTime() + 24 * HOUR).toISOString());
+});
+
+test('a Requested by: date is the due time from the email', () => {
+    const schedule = EmailParser.deriveSchedule(SENT, 'Requested by: 10/21/2026 5pm');
+
+    assert.strictEqual(schedule.dueAt, new Date(2026, 9, 21, 17, 0).toISOString());
+    assert.strictEqual(schedule.dueAtSource, 'email');
+});
+
+test('labelled lines without a date are ignored', () => {
+    const schedule = EmailParser.deriveSchedule(SENT, 'Requested by: Jane Smith\nScheduled: when possible');
+
+    assert.strictEqual(schedule.scheduledAt, null);
+    assert.strictEqual(schedule.dueAtSource, 'default');
+});
+
+test('late starts end an hour later instead of at 17:00', () => {
+    const schedule = EmailParser.deriveSchedule(new Date(2026, 9, 19, 18, 15));
+
+    assert.strictEqual(schedule.jobStartTime, '18:15');
+    assert.strictEqual(schedule.jobEndTime, '19:15');
+});
+
+test('without a Date header or schedule there are no defaults', () => {
+    assert.deepStrictEqual(EmailParser.deriveSchedule(null, 'Work Site: SEA124'), {
+        dispatchedAt: null, scheduledAt: null, dueAt: null, dueAtSource: null,
+        jobDate: '', jobStartTime: '', jobEndTime: ''
+    });
+});
+
+test('a job scheduled for next week is due from its scheduled start', () => {
+    const job = DataMappingEngine.mapEmailToJobData(EmailParser.parseEml([
+        'Subject: B-123456 - SEA124 - Reader Offline - P2 - Reader',
+        'Date: Mon, 19 Oct 2026 10:00:00 -0700',
+        '',
+        'Scheduled: 2026-10-26T09:00:00Z',
+        ''
+    ].join('\r\n')));
+
+    assert.strictEqual(job.job_dispatched_at, '2026-10-19T17:00:00.000Z');
+    assert.strictEqual(job.job_scheduled_at, '2026-10-26T09:00:00.000Z');
+    assert.strictEqual(job.job_due_at, '2026-10-27T09:00:00.000Z');
+    assert.strictEqual(job.job_due_source, 'priority');
+});
+
+test('local dates stay on the local day in a US evening, where the UTC date is already tomorrow', t => {
+    const timezone = process.env.TZ;
+    process.env.TZ = 'America/Los_Angeles';
+    t.after(() => {
+        if (timezone === undefined) delete process.env.TZ;
+        else process.env.TZ = timezone;
+    });
+
+    const evening = new Date('2026-10-20T03:30:00Z');
+    assert.strictEqual(evening.toISOString().split('T')[0], '2026-10-20');
+    assert.strictEqual(EmailParser.toLocalDateString(evening), '2026-10-19');
+    assert.strictEqual(EmailParser.toLocalTimeString(evening), '20:30');
+});
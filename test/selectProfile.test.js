@@ -0,0 +1,63 @@
+// EmailRuleRegistry.selectProfile: choosing the parser profile from the sender headers: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser, EmailRuleRegistry } = require('./helpers.js');
+
+const select = (headers, registry = EmailRuleRegistry.withDefaults()) => registry.selectProfile(headers);
+
+test('From, Reply-To and X-Mailer each select a profile', () => {
+    assert.deepStrictEqual(select({ from: 'SIM-T Dispatch <dispatch@sim-t.example.com>' }),
+        { profile: 'default', matchedOn: 'from ~ /sim-?t/' });
+    assert.deepStrictEqual(select({ from: 'noreply@example.com', 'reply-to': 'facilities@example.com' }),
+        { profile: 'building_management', matchedOn: 'replyTo ~ /facilit/' });
+    assert.deepStrictEqual(select({ from: 'noreply@example.com', 'x-mailer': 'IBM Maximo 7.6' }),
+        { profile: 'building_management', matchedOn: 'xMailer ~ /maximo/' });
+});
+
+test('the first registered profile with a matching header wins', () => {
+    // Both the SIM-T and the building management profiles match this sender
+    assert.strictEqual(select({ from: 'SIM-T Facilities <facilities@sim-t.example.com>' }).profile, 'default');
+
+    const registry = new EmailRuleRegistry();
+    registry.loadJson({
+        profiles: {
+            vendor: { match: { xMailer: ['acme'] }, fields: {} },
+            site: { match: { from: ['acme'] }, fields: {} }
+        }
+    });
+    // Profile order decides, not which header matched
+    assert.deepStrictEqual(select({ from: 'dispatch@acme.example', 'x-mailer': 'Acme Mailer' }, registry),
+        { profile: 'vendor', matchedOn: 'xMailer ~ /acme/' });
+    assert.deepStrictEqual(select({ from: 'dispatch@acme.example' }, registry),
+        { profile: 'site', matchedOn: 'from ~ /acme/' });
+});
+
+test('senders no profile matches fall back to the fallback profile', () => {
+    assert.deepStrictEqual(select({ from: 'customer@example.com' }), { profile: 'generic', matchedOn: 'fallback' });
+    assert.deepStrictEqual(select({}), { profile: 'generic', matchedOn: 'fallback' });
+
+    const registry = EmailRuleRegistry.withDefaults();
+    registry.loadJson({ fallbackProfile: 'building_management', profiles: {} });
+    assert.deepStrictEqual(select({ from: 'customer@example.com' }, registry),
+        { profile: 'building_management', matchedOn: 'fallback' });
+});
+
+test('a registry loaded without a fallbackProfile falls back to its default profile', () => {
+    const registry = new EmailRuleRegistry();
+    registry.loadJson({ profiles: { default: { fields: {} } } });
+
+    assert.deepStrictEqual(select({ from: 'customer@example.com' }, registry), { profile: 'default', matchedOn: 'fallback' });
+});
+
+test('parseEml records the selected profile and what matched it', () => {
+    const email = from => EmailParser.parseEml([`From: ${from}`, 'Subject: Door alarm', '', 'Work Site: SEA104', ''].join('\r\n'));
+
+    const simT = email('SIM-T Dispatch <dispatch@sim-t.example.com>');
+    assert.strictEqual(simT.parserProfile, 'default');
+    assert.strictEqual(simT.parserProfileMatch, 'from ~ /sim-?t/');
+
+    const customer = email('customer@example.com');
+    assert.strictEqual(customer.parserProfile, 'generic');
+    assert.strictEqual(customer.parserProfileMatch, 'fallback');
+});
@@ -0,0 +1,129 @@
+// EmailInspector session queue: loading several emails and switching between them: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createInspector } = require('./helpers.js');
+
+const email = (ticket, site) => [
+    'From: SIM-T Dispatch <dispatch@sim-t.example.com>',
+    `Subject: B-${ticket} - ${site} - Door Forced Open - P3 - Door - V1234567890`,
+    '',
+    `Work Site: ${site}`,
+    'Device Name: V1234567890',
+    ''
+].join('\r\n');
+
+const file = (name, content) => ({ name, size: 1024, content });
+
+const FILES = [
+    file('first.eml', email('111111', 'SEA104')),
+    file('second.eml', email('222222', 'SEA124')),
+    file('broken.msg', new ArrayBuffer(512))
+];
+
+const DEFAULT_RULES = '// Generated rules will appear here...';
+
+// An inspector with the session controls; the email view itself is not rendered
+function createSessionInspector() {
+    const element = () => ({ innerHTML: '', disabled: false, style: {}, classList: { remove() {} } });
+    const elements = Object.fromEntries(['ruleOutput', 'sessionNav', 'sessionList', 'prevEmail', 'nextEmail', 'dropZone']
+        .map(id => [id, element()]));
+    const inspector = createInspector(elements);
+
+    inspector.sessionEmails = [];
+    inspector.sessionIndex = -1;
+    inspector.resetApplicationState();
+    inspector.errors = [];
+    Object.assign(inspector, {
+        readFileContent: async loaded => loaded.content,
+        updateFileInfo() {},
+        displayEmailContent(content) { this.rawContent = content; },
+        displayUnifiedInteractiveView() {},
+        displayParsedResults() {},
+        resetSelectionInfo() {},
+        showError(message) { this.errors.push(message); }
+    });
+    return { inspector, elements };
+}
+
+test('loading several emails queues them all and shows the first', async () => {
+    const { inspector, elements } = createSessionInspector();
+    await inspector.handleFiles([...FILES, file('notes.txt', 'ignored')]);
+
+    assert.deepStrictEqual(inspector.sessionEmails.map(entry => [entry.file.name, entry.status]),
+        [['first.eml', 'valid'], ['second.eml', 'valid'], ['broken.msg', 'failed']]);
+    assert.match(inspector.sessionEmails[2].error, /compound file/);
+    assert.strictEqual(inspector.sessionIndex, 0);
+    assert.strictEqual(inspector.currentEmail.building, 'SEA104');
+
+    assert.strictEqual(elements.sessionNav.style.display, 'flex');
+    assert.strictEqual((elements.sessionList.innerHTML.match(/<option/g) || []).length, 3);
+    assert.match(elements.sessionList.innerHTML, /<option value="0" selected>\s*✅ 1\/3 first\.eml/);
+    assert.match(elements.sessionList.innerHTML, /🚫 3\/3 broken\.msg/);
+    assert.strictEqual(elements.prevEmail.disabled, true);
+    assert.strictEqual(elements.nextEmail.disabled, false);
+});
+
+test('each email keeps its own rules, targets and field edits', async () => {
+    const { inspector, elements } = createSessionInspector();
+    await inspector.handleFiles(FILES);
+
+    // Work on the first email: a generated rule, a target, a field edit and a selection
+    elements.ruleOutput.innerHTML = '// Regex Rule: first';
+    inspector.detectedTargets = [{ text: 'SEA104' }];
+    inspector.currentEmail.jobNumber = 'V0000000001';
+    inspector.selectedText = 'SEA104';
+
+    inspector.showSessionEmail(1);
+    assert.strictEqual(inspector.currentEmail.building, 'SEA124');
+    assert.strictEqual(inspector.currentEmail.jobNumber, '');
+    assert.strictEqual(elements.ruleOutput.innerHTML, DEFAULT_RULES);
+    assert.deepStrictEqual(inspector.detectedTargets, []);
+    assert.strictEqual(inspector.selectedText, '');
+    assert.strictEqual(elements.prevEmail.disabled, false);
+
+    elements.ruleOutput.innerHTML = '// Regex Rule: second';
+    inspector.detectedTargets = [{ text: 'SEA124' }];
+
+    inspector.showSessionEmail(0);
+    assert.strictEqual(inspector.currentFile.name, 'first.eml');
+    assert.strictEqual(inspector.currentEmail.jobNumber, 'V0000000001');
+    assert.strictEqual(elements.ruleOutput.innerHTML, '// Regex Rule: first');
+    assert.deepStrictEqual(inspector.detectedTargets, [{ text: 'SEA104' }]);
+    assert.strictEqual(inspector.selectedText, '');
+
+    inspector.showSessionEmail(1);
+    assert.strictEqual(elements.ruleOutput.innerHTML, '// Regex Rule: second');
+    assert.deepStrictEqual(inspector.detectedTargets, [{ text: 'SEA124' }]);
+});
+
+test('a failed email can be shown without losing the others', async () => {
+    const { inspector, elements } = createSessionInspector();
+    await inspector.handleFiles(FILES);
+    elements.ruleOutput.innerHTML = '// Regex Rule: first';
+
+    inspector.showSessionEmail(2);
+    assert.strictEqual(inspector.rawContent, null);
+    assert.match(inspector.errors[0], /^Failed to process email file: /);
+    assert.strictEqual(elements.nextEmail.disabled, true);
+
+    // Out of range does nothing
+    inspector.showSessionEmail(3);
+    assert.strictEqual(inspector.sessionIndex, 2);
+
+    inspector.showSessionEmail(0);
+    assert.strictEqual(elements.ruleOutput.innerHTML, '// Regex Rule: first');
+});
+
+test('emails loaded later are added to the queue and shown', async () => {
+    const { inspector, elements } = createSessionInspector();
+    await inspector.handleFiles(FILES.slice(0, 1));
+    assert.strictEqual(elements.sessionNav.style.display, 'none');
+    elements.ruleOutput.innerHTML = '// Regex Rule: first';
+
+    await inspector.handleFiles(FILES.slice(1, 2));
+    assert.strictEqual(inspector.sessionEmails.length, 2);
+    assert.strictEqual(inspector.sessionIndex, 1);
+    assert.strictEqual(inspector.currentFile.name, 'second.eml');
+    assert.strictEqual(inspector.sessionEmails[0].ruleOutput, '// Regex Rule: first');
+});
@@ -0,0 +1,63 @@
+// Priority and SLA due-time checks: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser, computeSlaDueAt, deriveJobDue, getSlaStatus } = require('./helpers.js');
+
+const HOUR = 3600000;
+
+test('priority lines accept P-numbers, bare numbers and words', () => {
+    assert.strictEqual(EmailParser.extractPriority('Priority: P2'), 'P2');
+    assert.strictEqual(EmailParser.extractPriority('Work Site: SEA124\n  Priority: 1'), 'P1');
+    assert.strictEqual(EmailParser.extractPriority('Priority: High'), 'P2');
+    assert.strictEqual(EmailParser.extractPriority('Priority: whenever'), '');
+    assert.strictEqual(EmailParser.extractPriority('No priority here'), '');
+});
+
+test('hour windows are added to the start time', () => {
+    assert.strictEqual(computeSlaDueAt('2026-10-19T17:00:00.000Z', 'P1'), '2026-10-19T21:00:00.000Z');
+    assert.strictEqual(computeSlaDueAt('2026-10-19T17:00:00.000Z', 'P2'), '2026-10-20T17:00:00.000Z');
+});
+
+test('business-day windows skip weekends', () => {
+    // Thursday + 3 business days is the following Tuesday
+    const thursday = new Date(2026, 9, 22, 10, 0);
+    assert.strictEqual(computeSlaDueAt(thursday.toISOString(), 'P3'), new Date(2026, 9, 27, 10, 0).toISOString());
+});
+
+test('custom response times override the defaults', () => {
+    assert.strictEqual(computeSlaDueAt('2026-10-19T17:00:00.000Z', 'P2', { P2: { hours: 8 } }), '2026-10-20T01:00:00.000Z');
+});
+
+test('no start, unknown priority or bad date gives no due time', () => {
+    assert.strictEqual(computeSlaDueAt(null, 'P1'), null);
+    assert.strictEqual(computeSlaDueAt('2026-10-19T17:00:00.000Z', 'P9'), null);
+    assert.strictEqual(computeSlaDueAt('not a date', 'P1'), null);
+});
+
+test('a deadline from the email wins over the priority table', () => {
+    assert.deepStrictEqual(deriveJobDue('2026-10-21T00:00:00.000Z', 'email', '2026-10-19T17:00:00.000Z', 'P1'),
+        { job_due_at: '2026-10-21T00:00:00.000Z', job_due_source: 'email' });
+});
+
+test('the priority table replaces the default response window', () => {
+    assert.deepStrictEqual(deriveJobDue('2026-10-20T17:00:00.000Z', 'default', '2026-10-19T17:00:00.000Z', 'P1'),
+        { job_due_at: '2026-10-19T21:00:00.000Z', job_due_source: 'priority' });
+});
+
+test('without a priority the default window is kept and labelled as such', () => {
+    assert.deepStrictEqual(deriveJobDue('2026-10-20T17:00:00.000Z', 'default', '2026-10-19T17:00:00.000Z', null),
+        { job_due_at: '2026-10-20T17:00:00.000Z', job_due_source: 'default' });
+    assert.deepStrictEqual(deriveJobDue(null, null, null, 'P1'), { job_due_at: null, job_due_source: null });
+});
+
+test('countdown labels for due and overdue jobs', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    assert.deepStrictEqual(getSlaStatus(new Date(now.getTime() + 3 * HOUR + 20 * 60000).toISOString(), now),
+        { overdue: false, minutesLeft: 200, label: 'Due in 3h 20m' });
+    assert.deepStrictEqual(getSlaStatus(new Date(now.getTime() - 26 * HOUR).toISOString(), now),
+        { overdue: true, minutesLeft: -1560, label: 'Overdue by 1d 2h' });
+    assert.strictEqual(getSlaStatus(null, now), null);
+    assert.strictEqual(getSlaStatus('not a date', now), null);
+});
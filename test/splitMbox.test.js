@@ -0,0 +1,65 @@
+// EmailParser.splitMbox checks: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser } = require('./helpers.js');
+
+const MBOX = [
+    'From dispatch@sim-t.example.com Mon Oct 19 10:00:00 2026',
+    'Subject: B-123456 - SEA104 - Door Forced Open - P2',
+    '',
+    'Work Site: SEA104',
+    'From the tech: door latch is bent',
+    '>From here on it is quoted',
+    '',
+    'From dispatch@sim-t.example.com Mon Oct 19 11:30:00 2026',
+    'Subject: B-123457 - SEA124 - Reader Offline - P3',
+    '',
+    'Work Site: SEA124',
+    ''
+].join('\n');
+
+test('splits on separator lines and unquotes >From lines', () => {
+    const messages = EmailParser.splitMbox(MBOX);
+
+    assert.strictEqual(messages.length, 2);
+    assert.match(messages[0], /^Subject: B-123456/);
+    assert.match(messages[0], /\nFrom the tech: door latch is bent\nFrom here on it is quoted\n/);
+    assert.match(messages[1], /^Subject: B-123457/);
+});
+
+test('"From " body lines that are not separators stay in their message', () => {
+    const text = [
+        'From dispatch@sim-t.example.com Mon Oct 19 10:00:00 2026',
+        'Subject: One',
+        '',
+        'Notes:',
+        '',
+        'From what the guard said, the door was propped open.',
+        ''
+    ].join('\n');
+
+    const messages = EmailParser.splitMbox(text);
+    assert.strictEqual(messages.length, 1);
+    assert.match(messages[0], /From what the guard said/);
+});
+
+test('CRLF files split the same way', () => {
+    const messages = EmailParser.splitMbox(MBOX.replace(/\n/g, '\r\n'));
+
+    assert.strictEqual(messages.length, 2);
+    assert.strictEqual(EmailParser.parseEml(messages[1]).building, 'SEA124');
+});
+
+test('binary input gives one Uint8Array per message', () => {
+    const latin1 = MBOX.replace('Work Site: SEA124', 'Work Site: Caf\xe9 North');
+    const messages = EmailParser.splitMbox(new Uint8Array(Buffer.from(latin1, 'latin1')));
+
+    assert.strictEqual(messages.length, 2);
+    assert.ok(messages.every(message => message instanceof Uint8Array));
+    assert.strictEqual(EmailParser.parseEml(messages[1]).building, 'Café North');
+});
+
+test('a file without separators is one message', () => {
+    assert.deepStrictEqual(EmailParser.splitMbox('Subject: Only\n\nBody\n'), ['Subject: Only\n\nBody\n']);
+});
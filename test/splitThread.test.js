@@ -0,0 +1,75 @@
+// EmailParser.splitThread / thread history checks: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser } = require('./helpers.js');
+
+const GMAIL_REPLY = [
+    'Tech on the way.',
+    '',
+    'On Mon, Oct 19, 2026 at 10:00 AM, Dispatch <dispatch@sim-t.example.com> wrote:',
+    '> Work Site: SEA124',
+    '> Device Name: V1234567890',
+    '>',
+    '> > Older quote'
+].join('\n');
+
+const OUTLOOK_REPLY = [
+    'Closing this one.',
+    '',
+    '-----Original Message-----',
+    'From: Dispatch <dispatch@sim-t.example.com>',
+    'Sent: Monday, October 19, 2026 10:00 AM',
+    'To: Tech',
+    'Subject: B-123456 - SEA124 - Door Forced Open - P2',
+    '',
+    'Device Name: V1234567890'
+].join('\n');
+
+test('an email without replies is one segment', () => {
+    const segments = EmailParser.splitThread('Work Site: SEA124\nDevice Name: V1234567890');
+
+    assert.strictEqual(segments.length, 1);
+    assert.strictEqual(segments[0].text, 'Work Site: SEA124\nDevice Name: V1234567890');
+    assert.strictEqual(segments[0].quoted, false);
+});
+
+test('"On ... wrote:" quotes become older segments, nested quotes older again', () => {
+    const segments = EmailParser.splitThread(GMAIL_REPLY);
+
+    assert.deepStrictEqual(segments.map(segment => segment.text.trim()), [
+        'Tech on the way.',
+        'Work Site: SEA124\nDevice Name: V1234567890',
+        'Older quote'
+    ]);
+    assert.deepStrictEqual(segments.map(segment => segment.quoted), [false, true, true]);
+    assert.strictEqual(segments[1].from, 'Dispatch <dispatch@sim-t.example.com>');
+    assert.strictEqual(segments[1].date, 'Mon, Oct 19, 2026 at 10:00 AM');
+});
+
+test('Outlook "Original Message" blocks keep their From/Sent/Subject lines as details', () => {
+    const segments = EmailParser.splitThread(OUTLOOK_REPLY);
+
+    assert.strictEqual(segments.length, 2);
+    assert.strictEqual(segments[0].text.trim(), 'Closing this one.');
+    assert.strictEqual(segments[1].from, 'Dispatch <dispatch@sim-t.example.com>');
+    assert.strictEqual(segments[1].date, 'Monday, October 19, 2026 10:00 AM');
+    assert.strictEqual(segments[1].subject, 'B-123456 - SEA124 - Door Forced Open - P2');
+    assert.strictEqual(segments[1].text.trim(), 'Device Name: V1234567890');
+    assert.strictEqual(OUTLOOK_REPLY.substring(segments[1].textStart).trim(), 'Device Name: V1234567890');
+});
+
+test('fields missing from the newest message come from older ones at lower confidence', () => {
+    const result = EmailParser.extractData('RE: Door alarm', OUTLOOK_REPLY);
+
+    assert.strictEqual(result.newestMessage, 'Closing this one.');
+    assert.strictEqual(result.deviceName, 'V1234567890');
+    assert.strictEqual(result.provenance.deviceName.segment, 1);
+    assert.ok(result.provenance.deviceName.confidence < 0.9);
+    assert.deepStrictEqual(result.threadHistory, [{
+        from: 'Dispatch <dispatch@sim-t.example.com>',
+        date: 'Monday, October 19, 2026 10:00 AM',
+        subject: 'B-123456 - SEA124 - Door Forced Open - P2',
+        text: 'Device Name: V1234567890'
+    }]);
+});
@@ -0,0 +1,133 @@
+// Update/escalation/closure emails: classifyEmail, planTicketUpdate and applyTicketUpdate: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser, DataMappingEngine, createStorage } = require('./helpers.js');
+
+const SUBJECT = 'B-123456 - SEA104 - Door Forced Open - P3 - Door - V1234567890';
+
+const email = (subject, date, ...body) => [
+    'From: SIM-T Dispatch <dispatch@sim-t.example.com>',
+    `Subject: ${subject}`,
+    `Date: ${date}`,
+    'Content-Type: text/plain',
+    '',
+    ...body,
+    ''
+].join('\r\n');
+
+const NEW_CALL = email(SUBJECT, 'Mon, 19 Oct 2026 10:00:00 -0700',
+    'Work Site: SEA104',
+    'Device Name: V1234567890',
+    'Problem Description: Door forced open at the loading dock');
+
+const quoteOriginal = [
+    '',
+    'On Mon, Oct 19, 2026 at 10:00 AM, SIM-T Dispatch <dispatch@sim-t.example.com> wrote:',
+    '> Work Site: SEA104',
+    '> Device Name: V1234567890'
+];
+
+const ESCALATION = email(`RE: ${SUBJECT}`, 'Mon, 19 Oct 2026 11:00:00 -0700',
+    'Priority raised to P1, the door will not latch.',
+    ...quoteOriginal);
+
+const CLOSURE = email(`RE: ${SUBJECT}`, 'Mon, 19 Oct 2026 15:00:00 -0700',
+    'Status: Closed',
+    'Latch replaced, door secure.',
+    ...quoteOriginal);
+
+const jobDataFor = raw => DataMappingEngine.mapEmailToJobData(EmailParser.parseEml(raw));
+
+async function importNewCall() {
+    const storage = await createStorage();
+    await storage.migrateLegacyJob(jobDataFor(NEW_CALL));
+    return storage;
+}
+
+test('keywords in the alarm type do not make a new call an escalation', () => {
+    const subject = 'B-123456 - SEA104 - Emergency Exit Alarm - P2 - Door';
+    const result = EmailParser.classifyEmail(subject, 'Work Site: SEA104', false, EmailParser.parseSubject(subject));
+
+    assert.strictEqual(result.type, 'new');
+    assert.deepStrictEqual(result.reasons, []);
+});
+
+test('replies are classified by their newest message and status line', () => {
+    const subjectParts = EmailParser.parseSubject(`RE: ${SUBJECT}`);
+    const classify = text => EmailParser.classifyEmail(`RE: ${SUBJECT}`, text, true, subjectParts);
+
+    assert.strictEqual(classify('Thanks, on my way.').type, 'update');
+    assert.strictEqual(classify('This has been escalated to the site manager.').type, 'escalation');
+    assert.strictEqual(classify('Status: Resolved').type, 'closure');
+    assert.strictEqual(classify('Ticket reassigned to the night crew.').reassigned, true);
+    assert.strictEqual(classify('Priority raised to P1.').priority, 'P1');
+});
+
+test('body keywords do not count for a new call without a status line', () => {
+    assert.strictEqual(EmailParser.classifyEmail(SUBJECT, 'Door closed alarm on the loading dock').type, 'new');
+});
+
+test('an escalation reply takes the priority from its newest message, not the subject', () => {
+    const result = EmailParser.parseEml(ESCALATION);
+
+    assert.strictEqual(result.emailType, 'escalation');
+    assert.strictEqual(result.priority, 'P1');
+});
+
+test('an escalation reply raises the ticket priority and its due time', async () => {
+    const storage = await importNewCall();
+    const [entry] = await storage.getAllTicketEntries();
+    assert.strictEqual(entry.job_priority, 'P3');
+
+    const plan = await storage.planTicketUpdate(jobDataFor(ESCALATION));
+    assert.strictEqual(plan.type, 'escalation');
+    assert.strictEqual(plan.entry.entry_id, entry.entry_id);
+
+    const changes = Object.fromEntries(plan.changes.map(change => [change.field, change]));
+    assert.deepStrictEqual(changes.job_priority, { field: 'job_priority', label: 'Priority', from: 'P3', to: 'P1' });
+    assert.strictEqual(changes.job_due_at.to, new Date(Date.parse(entry.job_dispatched_at) + 4 * 3600000).toISOString());
+    assert.strictEqual(changes.job_field_status, undefined);
+    assert.match(changes.job_filed_status_notes.to, /Email escalation: Priority raised to P1/);
+
+    const entryId = await storage.applyTicketUpdate(plan);
+    assert.strictEqual(entryId, entry.entry_id);
+
+    const updated = await storage.getTicketEntryById(entryId);
+    assert.strictEqual(updated.job_priority, 'P1');
+    assert.strictEqual(updated.job_due_at, changes.job_due_at.to);
+    assert.strictEqual(updated.job_due_source, 'priority');
+    assert.strictEqual((await storage.getAllTicketEntries()).length, 1);
+
+    const history = await storage.getHistoryForRecord('ticket_entries', entryId);
+    assert.deepStrictEqual(history.map(item => item.action), ['EMAIL_ESCALATION']);
+});
+
+test('a lower priority in a reply does not lower the ticket', async () => {
+    const storage = await importNewCall();
+    const plan = await storage.planTicketUpdate({ ...jobDataFor(ESCALATION), job_priority: 'P4' });
+
+    assert.ok(!plan.changes.some(change => change.field === 'job_priority'));
+});
+
+test('a closure reply closes the entry and keeps the quoted message as a ticket note', async () => {
+    const storage = await importNewCall();
+    const plan = await storage.planTicketUpdate(jobDataFor(CLOSURE));
+
+    assert.strictEqual(plan.type, 'closure');
+    const status = plan.changes.find(change => change.field === 'job_field_status');
+    assert.deepStrictEqual(status, { field: 'job_field_status', label: 'Field Status', from: 'pending', to: 'close' });
+
+    const entryId = await storage.applyTicketUpdate(plan);
+    assert.strictEqual((await storage.getTicketEntryById(entryId)).job_field_status, 'close');
+
+    const notes = (await storage.getHistoryForRecord('tickets', plan.ticket.ticket_id))
+        .filter(item => item.action === 'THREAD_NOTE');
+    assert.strictEqual(notes.length, 1);
+    assert.match(notes[0].changes.text, /^Work Site: SEA104\r?\nDevice Name: V1234567890$/);
+});
+
+test('an update for an unknown ticket is planned as a new call', async () => {
+    const storage = await createStorage();
+    assert.strictEqual(await storage.planTicketUpdate(jobDataFor(ESCALATION)), null);
+});
@@ -0,0 +1,71 @@
+// EmailParser.validateSubjectAgainstBody checks: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EmailParser } = require('./helpers.js');
+
+const SUBJECT = 'Service Call B-802641 - SEA124 - Alarm Active - P3 - Reader - P296563983-13';
+
+const validate = (bodyValues) => EmailParser.validateSubjectAgainstBody(
+    EmailParser.parseSubject(SUBJECT),
+    { building: '', deviceName: '', body: '', ...bodyValues }
+);
+
+test('a body that agrees with the subject is valid', () => {
+    const result = validate({
+        building: 'SEA124 - Main Lobby',
+        deviceName: 'P296563983-13',
+        body: 'Service call B-802641 for the lobby reader'
+    });
+
+    assert.deepStrictEqual(result, { flags: {}, status: 'valid' });
+});
+
+test('a different site or device in the body is an error', () => {
+    const result = validate({ building: 'SEA125', deviceName: 'P111111111', body: 'See B-802641' });
+
+    assert.strictEqual(result.status, 'error');
+    assert.deepStrictEqual(Object.keys(result.flags).sort(), ['device', 'site']);
+    assert.strictEqual(result.flags.site.severity, 'error');
+    assert.strictEqual(result.flags.site.body_value, 'SEA125');
+    assert.strictEqual(result.flags.device.subject_value, 'P296563983-13');
+});
+
+test('site codes only match as whole tokens', () => {
+    assert.strictEqual(validate({ building: 'SEA1245' }).flags.site.severity, 'error');
+});
+
+test('the same device with another suffix is a warning', () => {
+    const result = validate({ building: 'SEA124', deviceName: 'P296563983-14' });
+
+    assert.strictEqual(result.status, 'warning');
+    assert.strictEqual(result.flags.device.severity, 'warning');
+});
+
+test('a body quoting only other service calls flags the ticket', () => {
+    const result = validate({ building: 'SEA124', deviceName: 'P296563983-13', body: 'Follow-up to B-700001' });
+
+    assert.strictEqual(result.flags.ticket.severity, 'error');
+    assert.strictEqual(result.flags.ticket.body_value, 'B-700001');
+});
+
+test('nothing to compare against leaves warnings and no valid status', () => {
+    const result = validate({});
+
+    assert.strictEqual(result.status, 'warning');
+    assert.deepStrictEqual(Object.keys(result.flags).sort(), ['device', 'site']);
+    assert.strictEqual(EmailParser.validateSubjectAgainstBody(EmailParser.parseSubject('Hello'), { building: '', deviceName: '', body: '' }).status, 'unknown');
+});
+
+test('parseEml stores the result as the title validation flag and status', () => {
+    const result = EmailParser.parseEml([
+        `Subject: ${SUBJECT}`,
+        '',
+        'Work Site: SEA125',
+        'Device Name: P296563983-13',
+        ''
+    ].join('\r\n'));
+
+    assert.strictEqual(result.email_parse_title_validation_status, 'error');
+    assert.deepStrictEqual(Object.keys(result.email_parse_title_validation_flag), ['site']);
+});
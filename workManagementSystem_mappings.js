@@ -187,10 +187,11 @@ class DataMappingEngine {
     static async enrichJobData(jobData) {
         // Get complete job data with related information
         const enriched = { ...jobData };
+        enriched.related_tickets = jobData.related_tickets || jobData.job_related_tickets || '';
 
         try {
             // Get ticket information
-            if (jobData.ticket_id && window.wmsStorage) {
+            if (jobData.ticket_id && typeof window !== 'undefined' && window.wmsStorage) {
                 const ticket = await window.wmsStorage.getTicketById(jobData.ticket_id);
                 if (ticket) {
                     enriched.job_number = ticket.ticket_number;
@@ -198,18 +199,23 @@ class DataMappingEngine {
                     // Get building information
                     const building = await window.wmsStorage.getBuildingById(ticket.building_id);
                     if (building) {
-                        enriched.building_code = building.building_site_code;
-                        enriched.building_address = building.building_address;
+                        // Buildings are saved under their site code as the name
+                        enriched.building_code = building.building_site_code || building.building_name;
+                        // Buildings saved before addresses were parsed kept them in description
+                        enriched.building_address = building.building_address || building.description || '';
                     }
 
-                    // Get device associations
+                    // Get device associations; the first one is the primary device
                     const deviceAssocs = await window.wmsStorage.getDevicesForEntry(jobData.entry_id);
-                    if (deviceAssocs.length > 0) {
-                        const device = await window.wmsStorage.getDeviceById(deviceAssocs[0].device_id);
-                        if (device) {
-                            enriched.device_id = device.device_name;
-                            enriched.device_type = device.device_type;
-                        }
+                    const devices = [];
+                    for (const assoc of deviceAssocs) {
+                        const device = await window.wmsStorage.getDeviceById(assoc.device_id);
+                        if (device) devices.push(device);
+                    }
+                    if (devices.length > 0) {
+                        enriched.device_ids = devices.map(device => device.device_name);
+                        enriched.device_id = enriched.device_ids.join(', ');
+                        enriched.device_type = devices[0].device_type;
                     }
                 }
             }
@@ -316,6 +322,82 @@ class DataMappingEngine {
         return transformed;
     }
 
+    // Convert EmailParser output into the legacy job shape used by migrateLegacyJob
+    static mapEmailToJobData(emailData) {
+        // Which parser field each job field was filled from, for confidence flagging
+        const sources = {
+            job_name: 'jobName',
+            job_number: emailData.jobNumber ? 'jobNumber' : 'serviceCallId',
+            building_code: emailData.building ? 'building' : 'siteCode',
+            building_address: 'address',
+            device_id: emailData.deviceName ? 'deviceName' : 'deviceId',
+            device_type: 'deviceClass',
+            job_priority: 'priority',
+            job_trouble_description: 'problemDescription'
+        };
+        const lowConfidence = emailData.lowConfidenceFields || [];
+
+        const subjectDevice = emailData.deviceId
+            ? (emailData.deviceSuffix ? `${emailData.deviceId}-${emailData.deviceSuffix}` : emailData.deviceId)
+            : '';
+
+        return {
+            job_name: emailData.jobName || '',
+            job_number: emailData.jobNumber || emailData.serviceCallId || '',
+            building_code: emailData.building || emailData.siteCode || '',
+            building_address: (emailData.addressParts && emailData.addressParts.formatted) || emailData.address || '',
+            device_id: emailData.deviceName || subjectDevice,
+            device_ids: (emailData.devices || []).map(device => device.value),
+            device_type: mapDeviceClassToType(emailData.deviceClass),
+            job_priority: emailData.priority || null,
+            job_start_date: emailData.jobDate || '',
+            job_start_time: emailData.jobStartTime || '',
+            job_end_time: emailData.jobEndTime || '',
+            job_dispatched_at: emailData.dispatchedAt || null,
+            job_scheduled_at: emailData.scheduledAt || null,
+            ...deriveJobDue(emailData.dueAt, emailData.dueAtSource, emailData.scheduledAt || emailData.dispatchedAt, emailData.priority),
+            job_trouble_type: mapAlarmTypeToTroubleType(emailData.alarmType || emailData.problemDescription),
+            job_trouble_description: emailData.problemDescription || emailData.alarmType || '',
+            email_parse_title_validation_flag: emailData.email_parse_title_validation_flag || {},
+            email_parse_title_validation_status: emailData.email_parse_title_validation_status || 'unknown',
+            email_parse_low_confidence_fields: Object.keys(sources).filter(field => lowConfidence.includes(sources[field])),
+            email_parser_profile: emailData.parserProfile || null,
+            email_thread_history: emailData.threadHistory || [],
+            email_type: emailData.emailType || 'new',
+            email_type_reasons: emailData.emailTypeReasons || [],
+            job_related_tickets: (emailData.relatedTickets || []).join('\n'),
+            email_newest_message: emailData.newestMessage || '',
+            email_attachments: emailData.attachments || [],
+            email_message_id: emailData.messageId || null,
+            email_content_hash: emailData.contentHash || null
+        };
+    }
+
+    // Field-by-field differences between a saved job and a fresh parse of its email.
+    // Values the parse could not find are not offered as changes.
+    static diffJobData(current, fresh) {
+        return REPARSE_FIELDS
+            .map(({ field, label }) => ({
+                field,
+                label,
+                from: current[field] == null ? '' : String(current[field]),
+                to: field === 'device_id'
+                    ? this.mergeDeviceNames(current, fresh)
+                    : fresh[field] == null ? '' : String(fresh[field])
+            }))
+            .filter(change => change.to !== '' && change.to !== change.from);
+    }
+
+    // Saved entries list every associated device ("V1, V2"), a parse leads with the primary one.
+    // Re-parsing only ever adds devices, so the new value is the saved list plus any new names.
+    static mergeDeviceNames(current, fresh) {
+        const split = value => String(value || '').split(',').map(name => name.trim()).filter(Boolean);
+        const saved = split(current.device_id);
+        const parsed = fresh.device_ids && fresh.device_ids.length > 0 ? fresh.device_ids : split(fresh.device_id);
+        const added = parsed.filter(name => !saved.some(other => other.toUpperCase() === name.toUpperCase()));
+        return added.length > 0 ? [...saved, ...added].join(', ') : saved.join(', ');
+    }
+
     // Get available export formats
     static getAvailableFormats() {
         return Object.keys(EXPORT_MAPPINGS);
@@ -348,6 +430,31 @@ class DataMappingEngine {
     }
 }
 
+// Parsed job fields that a re-parse of the source email may update
+const REPARSE_FIELDS = [
+    { field: 'job_name', label: 'Job Name' },
+    { field: 'building_code', label: 'Building' },
+    { field: 'building_address', label: 'Address' },
+    { field: 'device_id', label: 'Device(s)' },
+    { field: 'device_type', label: 'Device Type' },
+    { field: 'job_priority', label: 'Priority' },
+    { field: 'job_trouble_type', label: 'Trouble Type' },
+    { field: 'job_trouble_description', label: 'Problem Description' },
+    { field: 'job_start_date', label: 'Start Date' },
+    { field: 'job_start_time', label: 'Start Time' },
+    { field: 'job_end_time', label: 'End Time' },
+    { field: 'job_due_at', label: 'Due' },
+    { field: 'job_due_source', label: 'Due Source' },
+    { field: 'job_related_tickets', label: 'Related Tickets' }
+];
+
+// Service call (B-######) and device (V##########, P#########) numbers in free text,
+// e.g. the Related Tickets field; same pattern as EmailParser.extractRelatedTickets
+function extractTicketReferences(text) {
+    const references = String(text || '').match(/\b(?:B-\d{6}|V\d{10}|P\d{9})\b/gi) || [];
+    return [...new Set(references.map(reference => reference.toUpperCase()))];
+}
+
 // Utility functions for data extraction and formatting
 function formatTimeForDisplay(timeString) {
     if (!timeString) return '';
@@ -382,6 +489,11 @@ function formatDateForDisplay(dateString) {
 
 function extractBuildingCode(jobName) {
     if (!jobName) return '';
+    // Prefer the structured Service Call subject layout when the parser is loaded
+    if (typeof EmailParser !== 'undefined') {
+        const subjectParts = EmailParser.parseSubject(jobName);
+        if (subjectParts.siteCode) return subjectParts.siteCode;
+    }
     // Extract from patterns like "SEA28", "DWS5", etc.
     const match = jobName.match(/\b([A-Z]{3,}\d*)\b/);
     return match ? match[1] : '';
@@ -389,6 +501,12 @@ function extractBuildingCode(jobName) {
 
 function extractDeviceId(jobName) {
     if (!jobName) return '';
+    if (typeof EmailParser !== 'undefined') {
+        const subjectParts = EmailParser.parseSubject(jobName);
+        if (subjectParts.deviceId) {
+            return subjectParts.deviceSuffix ? `${subjectParts.deviceId}-${subjectParts.deviceSuffix}` : subjectParts.deviceId;
+        }
+    }
     // Look for patterns at the end like "V1871560970", "P296563983"
     const match = jobName.match(/\b([VP]\d{9,})\b$/);
     return match ? match[1] : '';
@@ -400,3 +518,120 @@ function extractDeviceIds(jobName) {
     const matches = jobName.match(/\b([VP]\d{9,})\b/g);
     return matches || [];
 }
+
+// Device classes from Service Call subjects → device_type select options
+const DEVICE_TYPE_OPTIONS = [
+    'Reader', 'Door Contact', 'SAR', 'Mag Hold', 'ADA/Opener', 'Wave Sensor', 'REX/EDR',
+    'Hinge', 'Crash Bar', 'Signal Light/Sounder', 'Cassette', 'Camera', 'Encoder'
+];
+
+function mapDeviceClassToType(deviceClass) {
+    if (!deviceClass) return '';
+    const normalized = deviceClass.trim().toLowerCase();
+    const option = DEVICE_TYPE_OPTIONS.find(type =>
+        type.toLowerCase() === normalized || type.toLowerCase().split('/').includes(normalized)
+    );
+    return option || 'Other';
+}
+
+function mapAlarmTypeToTroubleType(alarmType) {
+    if (!alarmType) return 'other';
+    const text = alarmType.toLowerCase();
+    if (text.includes('offline')) return 'DFO';
+    if (text.includes('line error')) return 'line error';
+    if (text.includes('malfunction') || text.includes('fault')) return 'malfunction';
+    return 'other';
+}
+
+// Response time per priority; hours run around the clock, business days skip weekends
+const DEFAULT_SLA_RESPONSE_TIMES = {
+    P1: { hours: 4 },
+    P2: { hours: 24 },
+    P3: { businessDays: 3 },
+    P4: { businessDays: 5 },
+    P5: { businessDays: 10 }
+};
+
+const SLA_STORAGE_KEY = 'wmsSlaResponseTimes';
+
+// Defaults overlaid with whatever was saved from the Settings dialog
+function getSlaResponseTimes() {
+    let saved = {};
+    if (typeof localStorage !== 'undefined') {
+        try {
+            saved = JSON.parse(localStorage.getItem(SLA_STORAGE_KEY) || '{}') || {};
+        } catch (error) {
+            console.warn('Ignoring invalid SLA response times:', error);
+        }
+    }
+    return { ...DEFAULT_SLA_RESPONSE_TIMES, ...saved };
+}
+
+function saveSlaResponseTimes(responseTimes) {
+    localStorage.setItem(SLA_STORAGE_KEY, JSON.stringify(responseTimes));
+}
+
+// When a job's SLA clock starts: the scheduled start the email gave, otherwise its dispatch
+function getSlaStartedAt(job) {
+    return job.job_scheduled_at || job.job_dispatched_at || null;
+}
+
+// ISO due time for a job started at startedAt, or null without a start or a known priority
+function computeSlaDueAt(startedAt, priority, responseTimes = getSlaResponseTimes()) {
+    const responseWindow = responseTimes[priority];
+    if (!startedAt || !responseWindow) return null;
+
+    const due = new Date(startedAt);
+    if (isNaN(due)) return null;
+
+    if (responseWindow.hours) {
+        due.setTime(due.getTime() + responseWindow.hours * 3600000);
+    } else if (responseWindow.businessDays) {
+        let remaining = responseWindow.businessDays;
+        while (remaining > 0) {
+            due.setDate(due.getDate() + 1);
+            if (due.getDay() !== 0 && due.getDay() !== 6) remaining--;
+        }
+    }
+    return due.toISOString();
+}
+
+// Due time and where it came from: a deadline written in the email wins, then the priority
+// response table; the parser's default response window ('default') only fills in without a priority
+function deriveJobDue(dueAt, dueAtSource, startedAt, priority) {
+    if (dueAtSource === 'email') {
+        return { job_due_at: dueAt || null, job_due_source: 'email' };
+    }
+
+    const slaDueAt = computeSlaDueAt(startedAt, priority);
+    if (slaDueAt) {
+        return { job_due_at: slaDueAt, job_due_source: 'priority' };
+    }
+    return { job_due_at: dueAt || null, job_due_source: dueAt ? 'default' : null };
+}
+
+// Countdown label for a due time: "Due in 3h 20m" / "Overdue by 1d 2h"
+function getSlaStatus(dueAt, now = new Date()) {
+    if (!dueAt) return null;
+    const diff = new Date(dueAt).getTime() - now.getTime();
+    if (isNaN(diff)) return null;
+
+    const minutes = Math.floor(Math.abs(diff) / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    const span = days > 0 ? `${days}d ${hours}h` : `${hours}h ${minutes % 60}m`;
+
+    return {
+        overdue: diff < 0,
+        minutesLeft: Math.round(diff / 60000),
+        label: diff < 0 ? `Overdue by ${span}` : `Due in ${span}`
+    };
+}
+
+// CommonJS export for the Node CLI (emailParserCli.js); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DataMappingEngine, EXPORT_MAPPINGS, REPARSE_FIELDS, DEFAULT_SLA_RESPONSE_TIMES,
+        computeSlaDueAt, deriveJobDue, getSlaStartedAt, getSlaStatus, extractTicketReferences, mapDeviceClassToType, mapAlarmTypeToTroubleType
+    };
+}
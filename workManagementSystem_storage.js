@@ -1,10 +1,14 @@
 // Work Management System - IndexedDB Storage Layer 🏗️
 // Based on PostgreSQL schema: 1 Building → 1 Device → Many Tasks/Errors
 // IndexedDB implementation compatible with task_ticket_entries table structure
+
+// Job fields that are stored on the building/device records rather than on the entry
+const ENTRY_LINKED_FIELDS = ['building_code', 'building_address', 'device_id', 'device_type'];
+
 class WMSStorage {
     constructor() {
         this.dbName = 'WorkManagementDB';
-        this.version = 2; // Incremented to force schema update
+        this.version = 7; // 3: attachments, 4: source_emails, 5: entry duplicate-detection indexes, 6: ticket_links, 7: source email duplicate-detection indexes
         this.db = null;
     }
 
@@ -55,6 +59,15 @@ class WMSStorage {
                     entriesStore.createIndex('email_parse_title_validation_status', 'email_parse_title_validation_status', { unique: false });
                 }
 
+                // Message-ID / content hash of the imported email, to catch re-imports
+                const entriesStore = event.target.transaction.objectStore('task_ticket_entries');
+                if (!entriesStore.indexNames.contains('email_message_id')) {
+                    entriesStore.createIndex('email_message_id', 'email_message_id', { unique: false });
+                }
+                if (!entriesStore.indexNames.contains('email_content_hash')) {
+                    entriesStore.createIndex('email_content_hash', 'email_content_hash', { unique: false });
+                }
+
                 // Device associations for entries
                 if (!db.objectStoreNames.contains('task_ticket_entry_devices')) {
                     const assocStore = db.createObjectStore('task_ticket_entry_devices', { keyPath: 'id', autoIncrement: true });
@@ -62,6 +75,34 @@ class WMSStorage {
                     assocStore.createIndex('device_id', 'device_id', { unique: false });
                 }
 
+                // Email attachments (Blobs) for entries
+                if (!db.objectStoreNames.contains('attachments')) {
+                    const attachmentsStore = db.createObjectStore('attachments', { keyPath: 'attachment_id', autoIncrement: true });
+                    attachmentsStore.createIndex('task_ticket_entry_id', 'task_ticket_entry_id', { unique: false });
+                }
+
+                // Original .eml/.msg files of imported entries, for viewing and re-parsing
+                if (!db.objectStoreNames.contains('source_emails')) {
+                    const sourceStore = db.createObjectStore('source_emails', { keyPath: 'source_id', autoIncrement: true });
+                    sourceStore.createIndex('task_ticket_entry_id', 'task_ticket_entry_id', { unique: false });
+                }
+
+                // Message-ID / content hash of every email applied to an entry, updates included
+                const sourceStore = event.target.transaction.objectStore('source_emails');
+                if (!sourceStore.indexNames.contains('email_message_id')) {
+                    sourceStore.createIndex('email_message_id', 'email_message_id', { unique: false });
+                }
+                if (!sourceStore.indexNames.contains('email_content_hash')) {
+                    sourceStore.createIndex('email_content_hash', 'email_content_hash', { unique: false });
+                }
+
+                // References from a ticket to other tickets (B-numbers) or devices (V/P numbers)
+                if (!db.objectStoreNames.contains('ticket_links')) {
+                    const linksStore = db.createObjectStore('ticket_links', { keyPath: 'link_id', autoIncrement: true });
+                    linksStore.createIndex('ticket_id', 'ticket_id', { unique: false });
+                    linksStore.createIndex('reference', 'reference', { unique: false });
+                }
+
                 // History store for auditing
                 if (!db.objectStoreNames.contains('history')) {
                     const historyStore = db.createObjectStore('history', { keyPath: 'history_id', autoIncrement: true });
@@ -97,6 +138,11 @@ class WMSStorage {
         });
     }
 
+    _localDateString(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
     // Buildings operations
     async saveBuilding(buildingData) {
         const existingBuilding = await this.getBuildingByName(buildingData.building_name);
@@ -117,6 +163,21 @@ class WMSStorage {
         return await this._performDBOperation('buildings', 'get', null, id);
     }
 
+    // Building address fields from a free-text address, normalized by EmailParser.parseAddress
+    buildingAddressFields(address) {
+        if (!address) return {};
+        const parts = typeof EmailParser !== 'undefined'
+            ? EmailParser.parseAddress(address)
+            : { street: address, city: '', state: '', postalCode: '', formatted: address };
+        return {
+            building_address: parts.formatted || address,
+            building_street: parts.street || null,
+            building_city: parts.city || null,
+            building_state: parts.state || null,
+            building_postal_code: parts.postalCode || null
+        };
+    }
+
     async getBuildingByName(name) {
         const buildings = await this._performDBOperation('buildings', 'getAllIndexed', null, { index: 'building_name', value: name });
         return buildings.length > 0 ? buildings[0] : null;
@@ -208,7 +269,9 @@ class WMSStorage {
         return await this._performDBOperation('task_ticket_entries', 'getAllIndexed', null, { index: 'ticket_id', value: ticketId });
     }
 
+    // The entry's attachments and source emails go with it
     async deleteTicketEntry(id) {
+        await this.deleteEntryFiles(id);
         return await this._performDBOperation('task_ticket_entries', 'delete', null, id);
     }
 
@@ -239,10 +302,267 @@ class WMSStorage {
         }
     }
 
+    // Find or create each named device in the building and make them the entry's devices.
+    // Accepts an array or a comma-separated list; the type applies to the first (primary) device.
+    // Adds the named devices to the entry's associations; replace: true makes them the entry's only devices
+    async associateDevicesByName(entryId, buildingId, deviceNames, deviceType = null, description = null, { replace = false } = {}) {
+        const names = (Array.isArray(deviceNames) ? deviceNames : String(deviceNames || '').split(','))
+            .map(name => name.trim())
+            .filter((name, index, all) => name && all.indexOf(name) === index);
+
+        const deviceIds = [];
+        for (const [index, name] of names.entries()) {
+            let device = await this.getDeviceByNameAndBuilding(name, buildingId);
+            if (!device) {
+                device = await this.saveDevice({
+                    building_id: buildingId,
+                    device_name: name,
+                    device_type: index === 0 ? deviceType : null,
+                    description: index === 0 ? description : null
+                });
+            }
+            deviceIds.push(device.device_id);
+        }
+
+        if (!replace) {
+            // Keep the devices already on the entry, and with them its primary device
+            const existingIds = (await this.getDevicesForEntry(entryId)).map(assoc => assoc.device_id);
+            const merged = [...existingIds, ...deviceIds.filter(id => !existingIds.includes(id))];
+            await this.associateDeviceWithEntry(entryId, merged);
+            return merged;
+        }
+
+        await this.associateDeviceWithEntry(entryId, deviceIds);
+        return deviceIds;
+    }
+
     async getDevicesForEntry(entryId) {
         return await this._performDBOperation('task_ticket_entry_devices', 'getAllIndexed', null, { index: 'task_ticket_entry_id', value: entryId });
     }
 
+    // Attachments - one record per file, holding the Blob itself
+    async saveAttachments(entryId, attachments = []) {
+        const ids = [];
+        for (const attachment of attachments) {
+            if (!attachment.blob) continue;
+            ids.push(await this._performDBOperation('attachments', 'add', {
+                task_ticket_entry_id: entryId,
+                filename: attachment.filename,
+                mime_type: attachment.mimeType || attachment.blob.type || 'application/octet-stream',
+                size: attachment.size || attachment.blob.size,
+                blob: attachment.blob,
+                created_at: new Date().toISOString()
+            }));
+        }
+        return ids;
+    }
+
+    async getAttachmentsForEntry(entryId) {
+        return await this._performDBOperation('attachments', 'getAllIndexed', null, { index: 'task_ticket_entry_id', value: entryId });
+    }
+
+    async getAttachmentById(id) {
+        return await this._performDBOperation('attachments', 'get', null, id);
+    }
+
+    async deleteAttachment(id) {
+        return await this._performDBOperation('attachments', 'delete', null, id);
+    }
+
+    // Source emails - the raw file bytes as a Blob; an entry keeps one per email applied to it,
+    // with the email's Message-ID and content hash so findDuplicateEntry also matches updates
+    async saveSourceEmail(entryId, sourceEmail, { messageId = null, contentHash = null } = {}) {
+        if (!sourceEmail || !sourceEmail.blob) return null;
+        return await this._performDBOperation('source_emails', 'add', {
+            task_ticket_entry_id: entryId,
+            filename: sourceEmail.filename,
+            file_type: sourceEmail.fileType,
+            blob: sourceEmail.blob,
+            email_message_id: messageId,
+            email_content_hash: contentHash,
+            created_at: new Date().toISOString()
+        });
+    }
+
+    async getSourceEmailsForEntry(entryId) {
+        const sources = await this._performDBOperation('source_emails', 'getAllIndexed', null, { index: 'task_ticket_entry_id', value: entryId });
+        return sources.sort((a, b) => a.created_at.localeCompare(b.created_at));
+    }
+
+    // Drop the attachments and source emails stored for an entry (before it is replaced)
+    async deleteEntryFiles(entryId) {
+        for (const attachment of await this.getAttachmentsForEntry(entryId)) {
+            await this.deleteAttachment(attachment.attachment_id);
+        }
+        for (const source of await this.getSourceEmailsForEntry(entryId)) {
+            await this._performDBOperation('source_emails', 'delete', null, source.source_id);
+        }
+    }
+
+    async getAllSourceEmails() {
+        return await this._performDBOperation('source_emails', 'getAll');
+    }
+
+    // The first email stored for each entry: the original call, later ones are updates
+    async getOriginalSourceEmails() {
+        const sources = await this.getAllSourceEmails();
+        const originals = new Map();
+        sources.sort((a, b) => a.created_at.localeCompare(b.created_at)).forEach(source => {
+            if (!originals.has(source.task_ticket_entry_id)) originals.set(source.task_ticket_entry_id, source);
+        });
+        return [...originals.values()];
+    }
+
+    // Apply accepted {field, label, from, to} changes to an entry and log them. Entry fields are
+    // written as-is; building and device fields go to the building/device records instead.
+    async applyEntryChanges(entryId, changes, action) {
+        const entry = await this.getTicketEntryById(entryId);
+        const ticket = await this.getTicketById(entry.ticket_id);
+        const values = Object.fromEntries(changes.map(change => [change.field, change.to]));
+
+        let buildingId = ticket.building_id;
+        if (values.building_code) {
+            let building = await this.getBuildingByName(values.building_code);
+            if (!building) {
+                building = await this.saveBuilding({ building_name: values.building_code });
+            }
+            buildingId = building.building_id;
+            if (buildingId !== ticket.building_id) {
+                await this.saveTicket({ ...ticket, building_id: buildingId });
+            }
+        }
+
+        if ('building_address' in values) {
+            const building = await this.getBuildingById(buildingId);
+            await this.saveBuilding({
+                ...building,
+                building_address: null,
+                building_street: null,
+                building_city: null,
+                building_state: null,
+                building_postal_code: null,
+                ...this.buildingAddressFields(values.building_address)
+            });
+        }
+
+        if (values.device_id) {
+            await this.associateDevicesByName(entryId, buildingId, values.device_id, values.device_type || null);
+        }
+        if (values.device_type) {
+            const [primary] = await this.getDevicesForEntry(entryId);
+            const device = primary ? await this.getDeviceById(primary.device_id) : null;
+            if (device) {
+                await this.saveDevice({ ...device, device_type: values.device_type });
+            }
+        }
+
+        const updated = { ...entry, updated_at: new Date().toISOString() };
+        for (const change of changes) {
+            if (!ENTRY_LINKED_FIELDS.includes(change.field)) {
+                updated[change.field] = change.to;
+            }
+        }
+        await this.saveTicketEntry(updated);
+        if (values.job_related_tickets) {
+            await this.saveTicketLinks(updated.ticket_id, values.job_related_tickets);
+        }
+        await this.logHistory('ticket_entries', entryId, action, { changes });
+
+        return updated;
+    }
+
+    // Ticket links - stored as the reference text and resolved when read, so a link to a
+    // ticket or device that is imported later still works. Emails only ever add links;
+    // { replace: true } (saving the form) also drops references none of the ticket's entries list.
+    async saveTicketLinks(ticketId, relatedText, { replace = false } = {}) {
+        const ticket = await this.getTicketById(ticketId);
+        const links = await this.getTicketLinks(ticketId);
+
+        if (replace) {
+            const entries = await this.getTicketEntriesByTicket(ticketId);
+            const listed = new Set([relatedText, ...entries.map(entry => entry.job_related_tickets)]
+                .flatMap(text => extractTicketReferences(text)));
+            for (const link of links.filter(link => !listed.has(link.reference))) {
+                await this._performDBOperation('ticket_links', 'delete', null, link.link_id);
+            }
+        }
+
+        const existing = links.map(link => link.reference);
+
+        for (const reference of extractTicketReferences(relatedText)) {
+            if (existing.includes(reference) || reference === ticket.ticket_number) continue;
+            await this._performDBOperation('ticket_links', 'add', {
+                ticket_id: ticketId,
+                reference,
+                created_at: new Date().toISOString()
+            });
+            existing.push(reference);
+        }
+    }
+
+    async getTicketLinks(ticketId) {
+        return await this._performDBOperation('ticket_links', 'getAllIndexed', null, { index: 'ticket_id', value: ticketId });
+    }
+
+    // Helper: Tickets related to this one, both ways. Returns { reference, direction, ticket, entry }
+    // per linked ticket (entry is its latest); references nothing matches yet have ticket null.
+    async getRelatedTickets(ticketId) {
+        const ticket = await this.getTicketById(ticketId);
+        const related = [];
+        const addTicket = async (reference, direction, linkedTicket) => {
+            if (related.some(item => item.ticket && item.ticket.ticket_id === linkedTicket.ticket_id && item.reference === reference)) return;
+            const entries = await this.getTicketEntriesByTicket(linkedTicket.ticket_id);
+            const entry = entries.sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''))[0] || null;
+            related.push({ reference, direction, ticket: linkedTicket, entry });
+        };
+
+        for (const { reference } of await this.getTicketLinks(ticketId)) {
+            const linkedTickets = reference.startsWith('B-')
+                ? [await this.getTicketByNumber(reference)].filter(Boolean)
+                : await this.getTicketsForDevice(reference, ticketId);
+
+            if (linkedTickets.length === 0) {
+                related.push({ reference, direction: 'references', ticket: null, entry: null });
+            }
+            for (const linkedTicket of linkedTickets) {
+                await addTicket(reference, 'references', linkedTicket);
+            }
+        }
+
+        // Other tickets whose links name this ticket's number
+        const backlinks = await this._performDBOperation('ticket_links', 'getAllIndexed', null,
+            { index: 'reference', value: ticket.ticket_number });
+        for (const link of backlinks) {
+            const linkedTicket = await this.getTicketById(link.ticket_id);
+            if (linkedTicket) await addTicket(linkedTicket.ticket_number, 'referenced by', linkedTicket);
+        }
+
+        return related;
+    }
+
+    // Tickets (other than excludeTicketId) with an entry on a device whose name starts with the
+    // device number, so "P296563983" also finds "P296563983-13"
+    async getTicketsForDevice(deviceNumber, excludeTicketId = null) {
+        const devices = await this._performDBOperation('devices', 'getAllIndexed', null,
+            { index: 'device_name', value: IDBKeyRange.bound(deviceNumber, deviceNumber + '\uffff') });
+
+        const ticketIds = new Set();
+        for (const device of devices) {
+            const assocs = await this._performDBOperation('task_ticket_entry_devices', 'getAllIndexed', null,
+                { index: 'device_id', value: device.device_id });
+            for (const assoc of assocs) {
+                const entry = await this.getTicketEntryById(assoc.task_ticket_entry_id);
+                if (entry && entry.ticket_id !== excludeTicketId) ticketIds.add(entry.ticket_id);
+            }
+        }
+
+        const tickets = [];
+        for (const id of ticketIds) {
+            tickets.push(await this.getTicketById(id));
+        }
+        return tickets.filter(Boolean);
+    }
+
     // History logging
     async logHistory(tableName, recordId, action, changes = null) {
         const historyData = {
@@ -255,6 +575,11 @@ class WMSStorage {
         return await this._performDBOperation('history', 'add', historyData);
     }
 
+    async getHistoryForRecord(tableName, recordId) {
+        const history = await this._performDBOperation('history', 'getAllIndexed', null, { index: 'record_id', value: recordId });
+        return history.filter(item => item.table_name === tableName);
+    }
+
     // Import/Export logging
     async logImportExport(operationType, fileType, status, details = null) {
         const logData = {
@@ -268,14 +593,17 @@ class WMSStorage {
     }
 
     // Helper: Convert legacy job format to new structure
-    async migrateLegacyJob(legacyJobData) {
+    // options.replaceEntryId overwrites that entry (and its stored files) instead of adding one
+    async migrateLegacyJob(legacyJobData, options = {}) {
         // Create or find building
         let building = await this.getBuildingByName(legacyJobData.building_code || 'Default Building');
         if (!building) {
             building = await this.saveBuilding({
                 building_name: legacyJobData.building_code || 'Default Building',
-                description: legacyJobData.building_address || null
+                ...this.buildingAddressFields(legacyJobData.building_address)
             });
+        } else if (!building.building_address && legacyJobData.building_address) {
+            building = await this.saveBuilding({ ...building, ...this.buildingAddressFields(legacyJobData.building_address) });
         }
 
         // Create ticket
@@ -289,28 +617,21 @@ class WMSStorage {
             });
         }
 
-        // Create device if specified
-        let deviceId = null;
-        if (legacyJobData.device_id) {
-            let device = await this.getDeviceByNameAndBuilding(legacyJobData.device_id, building.building_id);
-            if (!device) {
-                device = await this.saveDevice({
-                    building_id: building.building_id,
-                    device_name: legacyJobData.device_id,
-                    device_type: legacyJobData.device_type || null,
-                    description: legacyJobData.job_device_details || null
-                });
-            }
-            deviceId = device.device_id;
-        }
-
-        // Convert legacy fields to ticket_entry format
+        // Convert legacy fields to ticket_entry format; without a schedule the job lands on
+        // the (local) day it was dispatched, or today
+        const dispatchedAt = legacyJobData.job_dispatched_at ? new Date(legacyJobData.job_dispatched_at) : new Date();
         const entryData = {
             ticket_id: ticket.ticket_id,
             job_name: legacyJobData.job_name || 'Unnamed Job',
-            job_start_date: legacyJobData.job_start_date || new Date().toISOString().split('T')[0],
+            job_start_date: legacyJobData.job_start_date || this._localDateString(dispatchedAt),
             job_start_time: legacyJobData.job_start_time || '08:00',
             job_end_time: legacyJobData.job_end_time || '17:00',
+            job_dispatched_at: legacyJobData.job_dispatched_at || null,
+            job_scheduled_at: legacyJobData.job_scheduled_at || null,
+            ...(['email', 'priority'].includes(legacyJobData.job_due_source) && legacyJobData.job_due_at
+                ? { job_due_at: legacyJobData.job_due_at, job_due_source: legacyJobData.job_due_source }
+                : deriveJobDue(legacyJobData.job_due_at, legacyJobData.job_due_source,
+                    getSlaStartedAt(legacyJobData), legacyJobData.job_priority)),
             job_participants: legacyJobData.job_participants || legacyJobData.job_with_who || null,
             job_reference_number: legacyJobData.job_reference_number || null,
             job_escort_delay: legacyJobData.job_escort_delay || null,
@@ -321,6 +642,7 @@ class WMSStorage {
             job_programming_changes: legacyJobData.job_programming_changes || null,
             job_dispatch_type: legacyJobData.job_dispatch_type || 'Spontaneous',
             job_field_status: legacyJobData.job_field_status || 'pending',
+            job_priority: legacyJobData.job_priority || null,
             job_filed_status_notes: legacyJobData.job_filed_status_notes || null,
             job_followup_required: legacyJobData.job_followup_required === 'yes',
             job_device_details: legacyJobData.job_device_details || null,
@@ -328,26 +650,189 @@ class WMSStorage {
             job_trouble_description: legacyJobData.job_trouble_description || '',
             job_work_description: legacyJobData.job_work_description || '',
             job_technical_details: legacyJobData.job_technical_details || null,
+            job_related_tickets: legacyJobData.job_related_tickets || legacyJobData.related_tickets || null,
             // Validation fields - default to valid for legacy data (no validation performed)
             email_parse_title_validation_flag: legacyJobData.email_parse_title_validation_flag || {},
             email_parse_title_validation_status: legacyJobData.email_parse_title_validation_status || 'unknown',
+            email_parse_low_confidence_fields: legacyJobData.email_parse_low_confidence_fields || [],
+            email_parser_profile: legacyJobData.email_parser_profile || null,
+            email_type: legacyJobData.email_type || 'new',
+            email_message_id: legacyJobData.email_message_id || null,
+            email_content_hash: legacyJobData.email_content_hash || null,
             created_at: legacyJobData.created_at || new Date().toISOString(),
             updated_at: new Date().toISOString()
         };
 
+        const replaced = options.replaceEntryId ? await this.getTicketEntryById(options.replaceEntryId) : null;
+        if (replaced) {
+            entryData.entry_id = replaced.entry_id;
+            entryData.created_at = replaced.created_at;
+            await this.deleteEntryFiles(replaced.entry_id);
+        }
+
         const entryId = await this.saveTicketEntry(entryData);
+        if (replaced) {
+            await this.logHistory('ticket_entries', entryId, 'EMAIL_REPLACE', { old: replaced, new: entryData });
+        }
 
-        // Associate device if created
-        if (deviceId) {
-            await this.associateDeviceWithEntry(entryId, [deviceId]);
+        // Older messages quoted in a reply/forward become notes on the ticket
+        await this.addThreadNotes(ticket.ticket_id, entryId, legacyJobData.email_thread_history);
+        await this.saveAttachments(entryId, legacyJobData.email_attachments);
+        await this.saveSourceEmail(entryId, legacyJobData.email_source_file, {
+            messageId: entryData.email_message_id,
+            contentHash: entryData.email_content_hash
+        });
+        await this.saveTicketLinks(ticket.ticket_id, entryData.job_related_tickets);
+
+        // Create and associate every device the email referenced
+        const deviceNames = legacyJobData.device_ids && legacyJobData.device_ids.length > 0
+            ? legacyJobData.device_ids
+            : legacyJobData.device_id;
+        if (deviceNames) {
+            await this.associateDevicesByName(entryId, building.building_id, deviceNames,
+                legacyJobData.device_type || null, legacyJobData.job_device_details || null,
+                { replace: !!options.replaceEntryId });
         }
 
         return entryId;
     }
 
+    // Helper: An entry already imported from, or updated by, the same email, matched on
+    // Message-ID first and the content hash second. Returns { entry, matchedOn } or null.
+    async findDuplicateEntry(legacyJobData) {
+        const checks = [['email_message_id', 'Message-ID'], ['email_content_hash', 'content hash']];
+        for (const [index, label] of checks) {
+            const value = legacyJobData[index];
+            if (!value) continue;
+
+            const entries = await this._performDBOperation('task_ticket_entries', 'getAllIndexed', null, { index, value });
+            if (entries.length > 0) return { entry: entries[0], matchedOn: label };
+
+            // Updates applied to an existing entry are only recorded with their source email
+            const sources = await this._performDBOperation('source_emails', 'getAllIndexed', null, { index, value });
+            for (const source of sources) {
+                const entry = await this.getTicketEntryById(source.task_ticket_entry_id);
+                if (entry) return { entry, matchedOn: label };
+            }
+        }
+        return null;
+    }
+
+    // Helper: Work out how an update/escalation/closure email changes an existing ticket.
+    // Returns null when the ticket is unknown so the email can be imported as a new call.
+    async planTicketUpdate(legacyJobData) {
+        const ticket = legacyJobData.job_number ? await this.getTicketByNumber(legacyJobData.job_number) : null;
+        if (!ticket) return null;
+
+        const entries = await this.getTicketEntriesByTicket(ticket.ticket_id);
+        if (entries.length === 0) return null;
+        const entry = entries.sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''))[0];
+
+        const type = legacyJobData.email_type || 'update';
+        const reasons = legacyJobData.email_type_reasons || [];
+        const changes = [];
+
+        let status = null;
+        if (type === 'closure') {
+            status = 'close';
+        } else if (reasons.some(reason => /reassign/i.test(reason))) {
+            status = 'reassign';
+        } else if (type === 'escalation' && ['close', 'completed'].includes(entry.job_field_status)) {
+            status = 'pending';
+        }
+        if (status && status !== entry.job_field_status) {
+            changes.push({ field: 'job_field_status', label: 'Field Status', from: entry.job_field_status || '', to: status });
+        }
+
+        // Only ever raise the priority (P1 is the most urgent)
+        const newPriority = legacyJobData.job_priority;
+        if (newPriority && (!entry.job_priority || newPriority < entry.job_priority)) {
+            changes.push({ field: 'job_priority', label: 'Priority', from: entry.job_priority || '', to: newPriority });
+
+            // The SLA clock keeps running from the original start, unless the sender set the deadline
+            const dueAt = entry.job_due_source === 'email'
+                ? null
+                : computeSlaDueAt(getSlaStartedAt(entry) || entry.created_at, newPriority);
+            if (dueAt && dueAt !== entry.job_due_at) {
+                changes.push({ field: 'job_due_at', label: 'Due', from: entry.job_due_at || '', to: dueAt });
+            }
+            if (dueAt && entry.job_due_source !== 'priority') {
+                changes.push({ field: 'job_due_source', label: 'Due Source', from: entry.job_due_source || '', to: 'priority' });
+            }
+        }
+
+        // New ticket/device references are appended to the entry's related tickets
+        const knownReferences = extractTicketReferences(entry.job_related_tickets);
+        const newReferences = extractTicketReferences(legacyJobData.job_related_tickets)
+            .filter(reference => !knownReferences.includes(reference) && reference !== ticket.ticket_number);
+        if (newReferences.length > 0) {
+            changes.push({
+                field: 'job_related_tickets',
+                label: 'Related Tickets',
+                from: entry.job_related_tickets || '',
+                to: [entry.job_related_tickets, ...newReferences].filter(Boolean).join('\n')
+            });
+        }
+
+        const message = (legacyJobData.email_newest_message || legacyJobData.job_trouble_description || '').trim();
+        const note = `[${new Date().toLocaleString()}] Email ${type}: ${message}`;
+        changes.push({
+            field: 'job_filed_status_notes',
+            label: 'Status Notes',
+            from: entry.job_filed_status_notes || '',
+            to: entry.job_filed_status_notes ? `${entry.job_filed_status_notes}\n${note}` : note
+        });
+
+        return {
+            ticket, entry, type, reasons, changes,
+            threadHistory: legacyJobData.email_thread_history || [],
+            attachments: legacyJobData.email_attachments || [],
+            sourceFile: legacyJobData.email_source_file || null,
+            messageId: legacyJobData.email_message_id || null,
+            contentHash: legacyJobData.email_content_hash || null,
+            relatedTickets: legacyJobData.job_related_tickets || ''
+        };
+    }
+
+    async applyTicketUpdate(plan) {
+        const updated = { ...plan.entry, updated_at: new Date().toISOString() };
+        for (const change of plan.changes) {
+            updated[change.field] = change.to;
+        }
+
+        await this.saveTicketEntry(updated);
+        await this.logHistory('ticket_entries', updated.entry_id, 'EMAIL_' + plan.type.toUpperCase(), {
+            reasons: plan.reasons,
+            changes: plan.changes
+        });
+
+        await this.addThreadNotes(plan.ticket.ticket_id, updated.entry_id, plan.threadHistory);
+        await this.saveAttachments(updated.entry_id, plan.attachments);
+        await this.saveSourceEmail(updated.entry_id, plan.sourceFile, {
+            messageId: plan.messageId,
+            contentHash: plan.contentHash
+        });
+        await this.saveTicketLinks(plan.ticket.ticket_id, plan.relatedTickets);
+
+        return updated.entry_id;
+    }
+
+    // Each reply quotes the whole chain again, so only store messages not seen before
+    async addThreadNotes(ticketId, entryId, messages = []) {
+        const existing = (await this.getHistoryForRecord('tickets', ticketId))
+            .filter(item => item.action === 'THREAD_NOTE')
+            .map(item => (item.changes || {}).text);
+
+        for (const message of messages) {
+            if (existing.includes(message.text)) continue;
+            await this.logHistory('tickets', ticketId, 'THREAD_NOTE', { ...message, entry_id: entryId });
+            existing.push(message.text);
+        }
+    }
+
     // Clear all data (for testing/reset)
     async clearAllData() {
-        const stores = ['buildings', 'devices', 'tickets', 'task_ticket_entries', 'task_ticket_entry_devices', 'history', 'import_export_logs'];
+        const stores = ['buildings', 'devices', 'tickets', 'task_ticket_entries', 'task_ticket_entry_devices', 'attachments', 'source_emails', 'ticket_links', 'history', 'import_export_logs'];
         for (const storeName of stores) {
             const transaction = this.db.transaction([storeName], 'readwrite');
             const store = transaction.objectStore(storeName);